@@ -97,6 +97,25 @@ function showVersion() {
   console.log(`${colors.dim}${packageJson.description}${colors.reset}`);
 }
 
+/**
+ * Show the source line of an error with a caret under the faulty span
+ */
+function formatSourceLocation(code, location) {
+  const { start, end } = location;
+  const sourceLine = (code.split('\n')[start.line - 1] || '').replace(/\r$/, '');
+  const gutter = `${start.line} | `;
+
+  // Spans that continue on later lines are underlined up to the line end
+  const endColumn = end.line === start.line ? end.column : sourceLine.length + 1;
+  const width = Math.max(1, endColumn - start.column);
+  const padding = ' '.repeat(gutter.length - 2) + '| ' + ' '.repeat(start.column - 1);
+
+  return [
+    `${colors.dim}${gutter}${colors.reset}${sourceLine}`,
+    `${colors.dim}${padding}${colors.reset}${colors.red}${'^'.repeat(width)}${colors.reset}`
+  ].join('\n');
+}
+
 /**
  * Execute code with optional debug information
  */
@@ -111,13 +130,13 @@ function executeCode(code, options = {}) {
       console.log(`${colors.blue}📝 Tokens:${colors.reset}`);
       tokens.forEach((token, index) => {
         if (token.type !== 'EOF') {
-          console.log(`  ${index}: ${token.type} "${token.lexeme}" (${token.literal})`);
+          console.log(`  ${index}: ${token.type} "${token.lexeme}" (${token.literal}) [${token.line}:${token.column}]`);
         }
       });
       console.log();
     }
 
-    const result = interpret(code);
+    const result = interpret(code, { path: options.path });
 
     if (result.success) {
       if (result.output && result.output.length > 0) {
@@ -126,7 +145,20 @@ function executeCode(code, options = {}) {
         });
       }
     } else {
-      console.error(`${colors.red}❌ Error: ${result.error}${colors.reset}`);
+      if (result.errors && result.errors.length > 1) {
+        console.error(`${colors.red}❌ Se encontraron ${result.errors.length} errores de sintaxis:${colors.reset}`);
+        result.errors.forEach(({ message, location }) => {
+          console.error(`\n${colors.red}${message}${colors.reset}`);
+          if (location) {
+            console.error(formatSourceLocation(code, location));
+          }
+        });
+      } else {
+        console.error(`${colors.red}❌ Error: ${result.error}${colors.reset}`);
+        if (result.location) {
+          console.error(formatSourceLocation(code, result.location));
+        }
+      }
       process.exit(1);
     }
   } catch (error) {
@@ -232,7 +264,8 @@ function executeFile(filePath) {
   try {
     const code = fs.readFileSync(filePath, 'utf8');
     console.log(`${colors.blue}📄 Ejecutando: ${filePath}${colors.reset}\n`);
-    executeCode(code);
+    // Relative imports are resolved from the file's directory
+    executeCode(code, { path: filePath });
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.error(`${colors.red}❌ Archivo no encontrado: ${filePath}${colors.reset}`);
@@ -338,6 +371,7 @@ if (require.main === module) {
 
 module.exports = {
   executeCode,
+  formatSourceLocation,
   startREPL,
   runTests,
   executeFile,
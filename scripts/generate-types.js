@@ -25,6 +25,34 @@ export interface InterpretationResult {
   output: string[];
   /** Mensaje de error si la ejecución falló */
   error: string | null;
+  /** Ubicación en el código fuente del error, si se conoce */
+  location: SourceLocation | null;
+  /** Todos los errores encontrados (los de sintaxis se informan juntos) */
+  errors: Diagnostic[];
+}
+
+/**
+ * Error con su ubicación en el código fuente
+ */
+export interface Diagnostic {
+  message: string;
+  location: SourceLocation | null;
+}
+
+/**
+ * Posición en el código fuente (línea y columna comienzan en 1)
+ */
+export interface SourcePosition {
+  line: number;
+  column: number;
+}
+
+/**
+ * Rango del código fuente; el final apunta justo después del último carácter
+ */
+export interface SourceLocation {
+  start: SourcePosition;
+  end: SourcePosition;
 }
 
 /**
@@ -39,6 +67,49 @@ export interface Token {
   literal: any;
   /** Línea donde se encontró el token */
   line: number;
+  /** Columna donde comienza el token */
+  column: number;
+  /** Línea donde termina el token */
+  endLine: number;
+  /** Columna justo después del último carácter del token */
+  endColumn: number;
+}
+
+/**
+ * Módulo encontrado por un resolvedor
+ */
+export interface ResolvedModule {
+  /** Ruta única del módulo (se usa para la caché y los errores) */
+  path: string;
+  /** Código fuente del módulo */
+  source: string;
+}
+
+/**
+ * Busca el código de un módulo usado en importar
+ * @param specifier - Ruta escrita en importar
+ * @param importer - Ruta del archivo que importa, si se conoce
+ * @returns El módulo, o null si no existe
+ */
+export type ModuleResolver = (
+  specifier: string,
+  importer: string | null,
+) => ResolvedModule | null;
+
+/**
+ * Opciones del intérprete
+ */
+export interface InterpreterOptions {
+  /** Resolvedor de módulos (por defecto se leen archivos del disco) */
+  resolveModule?: ModuleResolver;
+}
+
+/**
+ * Opciones de una ejecución
+ */
+export interface RunOptions {
+  /** Ruta del archivo fuente; las importaciones relativas parten de ella */
+  path?: string;
 }
 
 /**
@@ -47,6 +118,8 @@ export interface Token {
 export interface ASTNode {
   /** Tipo del nodo */
   type: string;
+  /** Rango del código fuente que ocupa el nodo */
+  loc: SourceLocation;
   /** Propiedades específicas del nodo */
   [key: string]: any;
 }
@@ -72,22 +145,25 @@ export class Interpreter {
 
   /**
    * Crea una nueva instancia del intérprete
+   * @param options - Opciones del intérprete
    */
-  constructor();
+  constructor(options?: InterpreterOptions);
 
   /**
    * Interpreta código fuente en español
    * @param source - Código fuente a interpretar
+   * @param options - Opciones de la ejecución
    * @returns Resultado de la interpretación
    */
-  interpret(source: string): InterpretationResult;
+  interpret(source: string, options?: RunOptions): InterpretationResult;
 
   /**
    * Ejecuta código y retorna solo las salidas
    * @param source - Código fuente a ejecutar
+   * @param options - Opciones de la ejecución
    * @returns Array de salidas
    */
-  run(source: string): string[];
+  run(source: string, options?: RunOptions): string[];
 
   /**
    * Obtiene el entorno de variables actual
@@ -155,16 +231,21 @@ export class Evaluator {
 /**
  * Función principal para interpretar código
  * @param code - Código fuente en español
+ * @param options - Opciones de la ejecución
  * @returns Resultado de la interpretación
  */
-export function interpret(code: string): InterpretationResult;
+export function interpret(
+  code: string,
+  options?: RunOptions,
+): InterpretationResult;
 
 /**
  * Ejecuta código y retorna solo las salidas
  * @param code - Código fuente en español
+ * @param options - Opciones de la ejecución
  * @returns Lista de salidas
  */
-export function run(code: string): string[];
+export function run(code: string, options?: RunOptions): string[];
 
 /**
  * Obtiene las variables definidas
@@ -3,11 +3,41 @@
  * Executes AST statements
  */
 
+/**
+ * Built-in methods that read like properties, so they can be used
+ * without parentheses (lista.longitud, texto.mayusculas)
+ */
+const PROPERTY_METHODS = new Set([
+  "longitud",
+  "primero",
+  "ultimo",
+  "mayusculas",
+  "minusculas",
+  "recortar",
+  "esPar",
+  "esImpar",
+  "esPositivo",
+  "esNegativo",
+]);
+
 class Evaluator {
-  constructor() {
-    this.environment = new Environment();
+  /**
+   * @param {Object|null} moduleLoader - Loads the modules used by importar
+   */
+  constructor(moduleLoader = null) {
+    // Built-in classes live in an outer scope so programs can shadow them
+    this.errorClass = this.createErrorClass();
+    this.globals = new Environment();
+    this.globals.define("Error", this.errorClass);
+    this.environment = new Environment(this.globals);
     this.output = [];
     this.currentInstance = null; // For tracking 'este' (this)
+    this.currentClass = null; // Class whose method is running (for 'super')
+    this.callStack = []; // Active calls ({ name, line }) for error traces
+    this.currentLine = 1; // Line of the statement being executed
+    this.moduleLoader = moduleLoader;
+    this.currentModule = null; // Path of the file being run, if known
+    this.moduleExports = null; // Names exported by the module being run
   }
 
   /**
@@ -23,26 +53,101 @@ class Evaluator {
         this.execute(statement);
       }
     } catch (error) {
-      throw new Error(error.message);
+      const evaluationError = new Error(error.message);
+      evaluationError.loc = error.loc;
+      evaluationError.module = error.module;
+      throw evaluationError;
     }
 
     return this.output;
   }
 
   /**
-   * Executes a statement
+   * Executes a statement, tagging runtime errors with its location
    * @param {Object} statement - Statement to execute
    */
   execute(statement) {
+    if (statement.loc) {
+      this.currentLine = statement.loc.start.line;
+    }
+    try {
+      return this.executeStatement(statement);
+    } catch (error) {
+      throw this.locateError(error, statement);
+    }
+  }
+
+  /**
+   * Evaluates an expression, tagging runtime errors with its location
+   * @param {Object} expression - Expression to evaluate
+   * @returns {any} Expression result
+   */
+  evaluateExpression(expression) {
+    try {
+      return this.evaluateExpressionNode(expression);
+    } catch (error) {
+      throw this.locateError(error, expression);
+    }
+  }
+
+  /**
+   * Attaches the span of the innermost failing node to a runtime error,
+   * along with the call stack at that point.
+   * Control-flow signals (return, break, continue) pass through untouched
+   * @param {*} error - Thrown value
+   * @param {Object} node - AST node being executed
+   * @returns {*} The same thrown value
+   */
+  locateError(error, node) {
+    if (error instanceof Error && !error.loc && node.loc) {
+      error.loc = node.loc;
+      error.pila = this.captureStack(node.loc.start.line);
+      error.module = this.currentModule;
+    }
+    return error;
+  }
+
+  /**
+   * Describes the active calls, innermost first, for an error's pila
+   * @param {number} line - Line where the error happened
+   * @returns {Array} Lines like "en dividir (línea 3)"
+   */
+  captureStack(line) {
+    const stack = [];
+    let currentLine = line;
+    for (let i = this.callStack.length - 1; i >= 0; i--) {
+      const frame = this.callStack[i];
+      stack.push(`en ${frame.name} (línea ${currentLine})`);
+      currentLine = frame.line;
+    }
+    stack.push(`en el programa principal (línea ${currentLine})`);
+    return stack;
+  }
+
+  /**
+   * Executes a statement
+   * @param {Object} statement - Statement to execute
+   */
+  executeStatement(statement) {
     switch (statement.type) {
       case "VariableDeclaration":
         return this.executeVariableDeclaration(statement);
       case "ConstantDeclaration":
         return this.executeConstantDeclaration(statement);
+      case "DestructuringDeclaration":
+        return this.executeDestructuringDeclaration(statement);
       case "FunctionDeclaration":
         return this.executeFunctionDeclaration(statement);
       case "ClassDeclaration":
         return this.executeClassDeclaration(statement);
+      case "InterfaceDeclaration":
+        return this.executeInterfaceDeclaration(statement);
+      case "EnumDeclaration":
+        return this.executeEnumDeclaration(statement);
+      case "ImportDeclaration":
+        return this.executeImportDeclaration(statement);
+      case "ExportDeclaration":
+        return this.executeExportDeclaration(statement);
       case "MostrarStatement":
         return this.executeMostrarStatement(statement);
       case "LeerStatement":
@@ -61,6 +166,8 @@ class Evaluator {
         return this.executeContinueStatement(statement);
       case "TryCatch":
         return this.executeTryCatch(statement);
+      case "ThrowStatement":
+        return this.executeThrowStatement(statement);
       case "ElegirStatement":
         return this.executeElegirStatement(statement);
       case "HacerMientrasStatement":
@@ -96,19 +203,140 @@ class Evaluator {
     this.environment.defineConstant(statement.name, value);
   }
 
+  /**
+   * Executes a destructuring declaration: variable [a, b] = par
+   * @param {Object} statement - Destructuring declaration
+   */
+  executeDestructuringDeclaration(statement) {
+    const value = this.evaluateExpression(statement.initializer);
+    this.bindPattern(statement.pattern, value, (name, part) => {
+      if (statement.constant) {
+        this.environment.defineConstant(name, part);
+      } else {
+        this.environment.define(name, part);
+      }
+    });
+  }
+
+  /**
+   * Binds a name or destructuring pattern to a value. Defaults are
+   * evaluated in the current environment, after the names before them
+   * @param {string|Object} target - Name, ArrayPattern or ObjectPattern
+   * @param {any} value - Value to destructure
+   * @param {Function} bind - Receives each (name, value) pair
+   */
+  bindPattern(target, value, bind) {
+    if (typeof target === "string") {
+      bind(target, value);
+      return;
+    }
+
+    if (target.type === "RestElement") {
+      this.bindPattern(target.target, value, bind);
+      return;
+    }
+
+    if (target.type === "DefaultParameter") {
+      this.bindPatternElement(target, value, bind);
+      return;
+    }
+
+    if (target.type === "ArrayPattern") {
+      if (!Array.isArray(value)) {
+        throw new Error(
+          `No se puede desestructurar un valor de tipo ${this.evaluateConversionFunction("tipo", [value])} con [ ], se esperaba un arreglo`,
+        );
+      }
+      target.elements.forEach((element, index) => {
+        if (element && element.type === "RestElement") {
+          this.bindPattern(element, value.slice(index), bind);
+        } else if (element) {
+          this.bindPatternElement(element, value[index], bind);
+        }
+      });
+      return;
+    }
+
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      throw new Error(
+        `No se puede desestructurar un valor de tipo ${this.evaluateConversionFunction("tipo", [value])} con { }, se esperaba un objeto`,
+      );
+    }
+    for (const property of target.properties) {
+      if (property.type === "RestElement") {
+        // ...resto collects the properties not named before it
+        const source = value.type === "Instance" ? value.properties : value;
+        const taken = target.properties.map((other) => other.key);
+        const rest = {};
+        for (const key of Object.keys(source)) {
+          if (!taken.includes(key)) rest[key] = source[key];
+        }
+        this.bindPattern(property, rest, bind);
+        continue;
+      }
+      this.bindPatternElement(
+        property,
+        this.getProperty(value, property.key),
+        bind,
+      );
+    }
+  }
+
+  /**
+   * Binds one element or property of a pattern, applying its default
+   * when the value is missing
+   * @param {Object} element - Pattern element with target and defaultValue
+   * @param {any} value - Value found for the element
+   * @param {Function} bind - Receives each (name, value) pair
+   */
+  bindPatternElement(element, value, bind) {
+    if (value === undefined && element.defaultValue) {
+      value = this.evaluateExpression(element.defaultValue);
+    }
+    this.bindPattern(element.target, value, bind);
+  }
+
+  /**
+   * Lists the names bound by a name or destructuring pattern
+   * @param {string|Object} target - Name, ArrayPattern or ObjectPattern
+   * @returns {Array<string>} Bound names
+   */
+  patternNames(target) {
+    if (typeof target === "string") return [target];
+    const elements =
+      target.type === "ArrayPattern" ? target.elements : target.properties;
+    return elements
+      .filter(Boolean)
+      .flatMap((element) => this.patternNames(element.target));
+  }
+
   /**
    * Executes a function declaration
    * @param {Object} statement - Function declaration
    */
   executeFunctionDeclaration(statement) {
-    const functionObj = {
+    const functionObj = this.createFunction(statement, statement.name);
+    this.environment.define(statement.name, functionObj);
+  }
+
+  /**
+   * Creates a function object that closes over the current environment
+   * @param {Object} declaration - Node with parameters and body
+   * @param {string|null} name - Function name (null for anonymous functions)
+   * @returns {Object} Function object
+   */
+  createFunction(declaration, name = null) {
+    return {
       type: "Function",
-      name: statement.name,
-      parameters: statement.parameters,
-      body: statement.body,
+      name,
+      parameters: declaration.parameters,
+      body: declaration.body,
+      isArrowExpression: declaration.isExpression === true,
+      closure: this.environment,
+      thisInstance: this.currentInstance,
+      ownerClass: this.currentClass,
+      module: this.currentModule,
     };
-
-    this.environment.define(statement.name, functionObj);
   }
 
   /**
@@ -116,15 +344,372 @@ class Evaluator {
    * @param {Object} statement - Class declaration
    */
   executeClassDeclaration(statement) {
+    // The parent class is resolved once, when the class is declared
+    let superclass = null;
+    if (statement.superclass) {
+      superclass = this.environment.has(statement.superclass)
+        ? this.environment.get(statement.superclass)
+        : null;
+      if (superclass && superclass.type === "Interface") {
+        throw new Error(
+          `'${statement.superclass}' es una interfaz; usa 'implementa' en lugar de 'extiende'`,
+        );
+      }
+      if (!superclass || superclass.type !== "Class") {
+        throw new Error(`Clase padre '${statement.superclass}' no encontrada`);
+      }
+    }
+
     const classObj = {
       type: "Class",
       name: statement.name,
-      superclass: statement.superclass,
-      constructor: statement.constructor,
-      methods: statement.methods,
+      abstract: statement.abstract,
+      superclass,
+      interfaces: statement.interfaces.map((name) =>
+        this.resolveInterface(name),
+      ),
+      abstractMethods: statement.abstractMethods,
+      constructor: null,
+      methods: [],
+      staticMethods: [],
+      staticFields: {},
+      staticConstants: new Set(),
+      getters: [],
+      setters: [],
     };
 
+    // Methods remember the class that defines them, so 'super' inside
+    // them refers to that class's parent
+    const previousClass = this.currentClass;
+    this.currentClass = classObj;
+    try {
+      if (statement.constructor) {
+        classObj.constructor = this.createFunction(
+          statement.constructor,
+          "constructor",
+        );
+      }
+      classObj.methods = statement.methods.map((method) =>
+        this.createFunction(method, method.name),
+      );
+      classObj.staticMethods = statement.staticMethods.map((method) =>
+        this.createFunction(method, method.name),
+      );
+      classObj.getters = statement.getters.map((getter) =>
+        this.createFunction(getter, getter.name),
+      );
+      classObj.setters = statement.setters.map((setter) =>
+        this.createFunction(setter, setter.name),
+      );
+    } finally {
+      this.currentClass = previousClass;
+    }
+
+    if (!classObj.abstract) {
+      this.checkContracts(classObj);
+    }
+
     this.environment.define(statement.name, classObj);
+
+    // Static fields are initialized in order once the class exists, so
+    // initializers can use the class and the fields defined before them
+    for (const field of statement.staticFields) {
+      classObj.staticFields[field.name] = field.initializer
+        ? this.evaluateExpression(field.initializer)
+        : null;
+      if (field.constant) {
+        classObj.staticConstants.add(field.name);
+      }
+    }
+  }
+
+  /**
+   * Executes an import: loads the module (once per run) and defines the
+   * imported names as constants
+   * @param {Object} statement - Import declaration
+   */
+  executeImportDeclaration(statement) {
+    if (!this.moduleLoader) {
+      throw new Error("importar no está disponible en este entorno");
+    }
+
+    const exports = this.moduleLoader.load(
+      statement.source,
+      this.currentModule,
+      this,
+    );
+    for (const name of statement.names) {
+      if (!exports.has(name)) {
+        throw new Error(`El módulo '${statement.source}' no exporta '${name}'`);
+      }
+      this.environment.defineConstant(name, exports.get(name));
+    }
+  }
+
+  /**
+   * Executes an exported declaration and records its name
+   * @param {Object} statement - Export declaration
+   */
+  executeExportDeclaration(statement) {
+    this.execute(statement.declaration);
+    if (this.moduleExports) {
+      const { declaration } = statement;
+      if (declaration.type === "DestructuringDeclaration") {
+        this.moduleExports.push(...this.patternNames(declaration.pattern));
+      } else {
+        this.moduleExports.push(declaration.name);
+      }
+    }
+  }
+
+  /**
+   * Runs the statements of an imported module in its own scope. Its output
+   * goes to the same place as the program's
+   * @param {Array} statements - Module statements
+   * @param {string} path - Resolved module path
+   * @returns {Map} Exported names and their final values
+   */
+  runModule(statements, path) {
+    const previousEnv = this.environment;
+    const previousModule = this.currentModule;
+    const previousExports = this.moduleExports;
+    this.environment = new Environment(this.globals);
+    this.currentModule = path;
+    this.moduleExports = [];
+
+    try {
+      for (const statement of statements) {
+        this.execute(statement);
+      }
+      const exports = new Map();
+      for (const name of this.moduleExports) {
+        exports.set(name, this.environment.get(name));
+      }
+      return exports;
+    } finally {
+      this.environment = previousEnv;
+      this.currentModule = previousModule;
+      this.moduleExports = previousExports;
+    }
+  }
+
+  /**
+   * Executes an interface declaration
+   * @param {Object} statement - Interface declaration
+   */
+  executeInterfaceDeclaration(statement) {
+    this.environment.define(statement.name, {
+      type: "Interface",
+      name: statement.name,
+      parents: statement.parents.map((name) => this.resolveInterface(name)),
+      methods: statement.methods,
+    });
+  }
+
+  /**
+   * Executes an enumeration declaration. Each value is a unique object that
+   * knows its name, its position and its associated value
+   * @param {Object} statement - Enum declaration
+   */
+  executeEnumDeclaration(statement) {
+    const enumObj = { type: "Enum", name: statement.name, members: [] };
+    statement.members.forEach((member, index) => {
+      enumObj.members.push({
+        type: "EnumMember",
+        enumName: statement.name,
+        name: member.name,
+        index,
+        value: member.value ? this.evaluateExpression(member.value) : null,
+      });
+    });
+    this.environment.define(statement.name, enumObj);
+  }
+
+  /**
+   * Reads a value of an enumeration (Color.ROJO) or the list of all of them
+   * (Color.valores)
+   * @param {Object} enumObj - Enumeration
+   * @param {string} name - Value name
+   * @returns {any} Enum value or array of values
+   */
+  getEnumMember(enumObj, name) {
+    const member = enumObj.members.find((m) => m.name === name);
+    if (member) return member;
+    if (name === "valores") return [...enumObj.members];
+    throw new Error(
+      `La enumeración '${enumObj.name}' no tiene el valor '${name}'`,
+    );
+  }
+
+  /**
+   * Reads a property of an enum value: nombre, valor or indice
+   * @param {Object} member - Enum value
+   * @param {string} name - Property name
+   * @returns {any} Property value
+   */
+  getEnumMemberProperty(member, name) {
+    switch (name) {
+      case "nombre":
+        return member.name;
+      case "valor":
+        return member.value;
+      case "indice":
+        return member.index;
+      default:
+        throw new Error(
+          `Los valores de una enumeración solo tienen las propiedades nombre, valor e indice, no '${name}'`,
+        );
+    }
+  }
+
+  /**
+   * Looks up an interface by name
+   * @param {string} name - Interface name
+   * @returns {Object} Interface value
+   */
+  resolveInterface(name) {
+    if (!this.environment.has(name)) {
+      throw new Error(`Interfaz '${name}' no encontrada`);
+    }
+    const value = this.environment.get(name);
+    if (!value || value.type !== "Interface") {
+      throw new Error(`'${name}' no es una interfaz`);
+    }
+    return value;
+  }
+
+  /**
+   * Checks that a concrete class implements every abstract method of its
+   * ancestors and every method of the interfaces it (or an ancestor)
+   * implements, with the same number of parameters
+   * @param {Object} classObj - Class being declared
+   */
+  checkContracts(classObj) {
+    for (let current = classObj; current; current = current.superclass) {
+      for (const signature of current.abstractMethods) {
+        this.checkImplementation(
+          classObj,
+          signature,
+          `el método abstracto '${signature.name}' de '${current.name}'`,
+          current.name,
+        );
+      }
+
+      const pending = [...current.interfaces];
+      while (pending.length > 0) {
+        const iface = pending.shift();
+        for (const signature of iface.methods) {
+          this.checkImplementation(
+            classObj,
+            signature,
+            `el método '${signature.name}' de la interfaz '${iface.name}'`,
+            iface.name,
+          );
+        }
+        pending.push(...iface.parents);
+      }
+    }
+  }
+
+  /**
+   * Checks that a class implements one method signature
+   * @param {Object} classObj - Class being declared
+   * @param {Object} signature - Required method name and parameters
+   * @param {string} description - Spanish description of the requirement
+   * @param {string} source - Class or interface that requires the method
+   */
+  checkImplementation(classObj, signature, description, source) {
+    const method = this.findMethod(classObj, signature.name);
+    if (!method) {
+      throw new Error(
+        `La clase '${classObj.name}' debe implementar ${description}`,
+      );
+    }
+    // The method must accept every call the signature allows; extra
+    // parameters are fine if they have defaults or collect the rest
+    const expected = this.argumentRange(signature);
+    const accepted = this.argumentRange(method);
+    if (accepted.min > expected.min || accepted.max < expected.max) {
+      throw new Error(
+        `El método '${signature.name}' de '${classObj.name}' debe recibir ${this.expectedArguments(signature)} parámetros, como indica '${source}'`,
+      );
+    }
+  }
+
+  /**
+   * Reads a static member (field or method) of a class or its ancestors;
+   * the closest class that defines the name wins
+   * @param {Object} classObj - Class where the lookup starts
+   * @param {string} name - Member name
+   * @returns {any} Field value or method function
+   */
+  getStaticMember(classObj, name) {
+    for (let current = classObj; current; current = current.superclass) {
+      if (name in current.staticFields) {
+        return current.staticFields[name];
+      }
+      const method = current.staticMethods.find((m) => m.name === name);
+      if (method) return method;
+    }
+    throw new Error(
+      `La clase '${classObj.name}' no tiene un miembro estático '${name}'`,
+    );
+  }
+
+  /**
+   * Assigns a static field. Inherited fields are updated in the class that
+   * defines them, so the state stays shared with the subclasses
+   * @param {Object} classObj - Class being assigned through
+   * @param {string} name - Field name
+   * @param {any} value - New value
+   * @returns {any} Assigned value
+   */
+  setStaticField(classObj, name, value) {
+    let owner = classObj;
+    for (let current = classObj; current; current = current.superclass) {
+      if (name in current.staticFields) {
+        owner = current;
+        break;
+      }
+    }
+
+    if (owner.staticConstants.has(name)) {
+      throw new Error(
+        `No se puede reasignar la constante estática: ${owner.name}.${name}`,
+      );
+    }
+    owner.staticFields[name] = value;
+    return value;
+  }
+
+  /**
+   * Finds a method in a class or, if not defined there, in its ancestors
+   * @param {Object} classObj - Class where the lookup starts
+   * @param {string} name - Method name
+   * @returns {Object|null} Method function, if any
+   */
+  findMethod(classObj, name) {
+    for (let current = classObj; current; current = current.superclass) {
+      const method = current.methods.find((m) => m.name === name);
+      if (method) return method;
+    }
+    return null;
+  }
+
+  /**
+   * Finds the accessors (obtener/establecer) of a property in a class or its
+   * ancestors; the closest class that defines either of them wins
+   * @param {Object} classObj - Class where the lookup starts
+   * @param {string} name - Property name
+   * @returns {Object|null} Object with getter and setter (either may be null)
+   */
+  findAccessor(classObj, name) {
+    for (let current = classObj; current; current = current.superclass) {
+      const getter = current.getters.find((g) => g.name === name) || null;
+      const setter = current.setters.find((s) => s.name === name) || null;
+      if (getter || setter) return { getter, setter };
+    }
+    return null;
   }
 
   /**
@@ -346,7 +931,7 @@ class Evaluator {
    * @param {Object} expression - Expression to evaluate
    * @returns {any} Expression result
    */
-  evaluateExpression(expression) {
+  evaluateExpressionNode(expression) {
     switch (expression.type) {
       case "Literal":
         return expression.value;
@@ -358,27 +943,22 @@ class Evaluator {
         return this.environment.get(expression.name);
 
       case "AnonymousFunction":
-        return {
-          type: "Function",
-          name: null,
-          parameters: expression.parameters,
-          body: expression.body,
-        };
-
       case "ArrowFunction":
-        return {
-          type: "Function",
-          name: null,
-          parameters: expression.parameters,
-          body: expression.body,
-          isArrowExpression: expression.isExpression,
-        };
+        return this.createFunction(expression);
 
       case "Assign":
         const value = this.evaluateExpression(expression.value);
         this.environment.assign(expression.name, value);
         return value;
 
+      case "DestructuringAssign": {
+        const value = this.evaluateExpression(expression.value);
+        this.bindPattern(expression.pattern, value, (name, part) =>
+          this.environment.assign(name, part),
+        );
+        return value;
+      }
+
       case "ArrayLiteral":
         return this.evaluateArrayLiteral(expression);
 
@@ -409,6 +989,18 @@ class Evaluator {
       case "Logical":
         return this.evaluateLogicalExpression(expression);
 
+      case "OptionalChain":
+        return this.evaluateOptionalChain(expression);
+
+      case "Range":
+        return this.evaluateRange(expression);
+
+      case "Conditional":
+        // Only the chosen branch is evaluated
+        return this.isTruthy(this.evaluateExpression(expression.condition))
+          ? this.evaluateExpression(expression.consequent)
+          : this.evaluateExpression(expression.alternate);
+
       case "Postfix":
         return this.evaluatePostfixExpression(expression);
 
@@ -444,6 +1036,9 @@ class Evaluator {
       case "SuperCall":
         return this.evaluateSuperCall(expression);
 
+      case "SuperMethodCall":
+        return this.evaluateSuperMethodCall(expression);
+
       case "Unary":
         const right = this.evaluateExpression(expression.right);
         return this.evaluateUnaryExpression(expression.operator, right);
@@ -470,9 +1065,20 @@ class Evaluator {
    */
   evaluateUnaryExpression(operator, right) {
     switch (operator) {
-      case "MINUS":
+      case "MINUS": {
+        // Instances can define negar() to support -valor
+        if (right && typeof right === "object" && right.type === "Instance") {
+          const method = this.findMethod(right.classObj, "negar");
+          if (!method) {
+            throw new Error(
+              `La clase '${right.className}' no define el método negar() para el operador -`,
+            );
+          }
+          return this.callFunction(method, [], right);
+        }
         this.checkNumberOperand(operator, right);
         return -right;
+      }
 
       case "BANG":
         return !this.isTruthy(right);
@@ -490,6 +1096,15 @@ class Evaluator {
    * @returns {any} Expression result
    */
   evaluateBinaryExpression(left, operator, right) {
+    const overload = this.operatorOverload(left, operator, right);
+    if (overload) {
+      return this.callFunction(
+        overload.method,
+        [overload.argument],
+        overload.receiver,
+      );
+    }
+
     switch (operator) {
       case "MINUS":
         this.checkNumberOperands(operator, left, right);
@@ -515,6 +1130,18 @@ class Evaluator {
         this.checkNumberOperands(operator, left, right);
         return left * right;
 
+      case "STAR_STAR":
+        this.checkNumberOperands(operator, left, right);
+        return left ** right;
+
+      case "DIV":
+        this.checkNumberOperands(operator, left, right);
+        if (right === 0) {
+          throw new Error("División por cero");
+        }
+        // Truncates like %, so (a div b) * b + a % b == a
+        return Math.trunc(left / right);
+
       case "PERCENT":
         this.checkNumberOperands(operator, left, right);
         if (right === 0) {
@@ -522,33 +1149,45 @@ class Evaluator {
         }
         return left % right;
 
-      case "GREATER":
+      case "GREATER": {
+        const order = this.compareWithProtocol(left, right);
+        if (order !== null) return order > 0;
         if (typeof left === "string" && typeof right === "string") {
           return left > right;
         }
         this.checkNumberOperands(operator, left, right);
         return left > right;
+      }
 
-      case "GREATER_EQUAL":
+      case "GREATER_EQUAL": {
+        const order = this.compareWithProtocol(left, right);
+        if (order !== null) return order >= 0;
         if (typeof left === "string" && typeof right === "string") {
           return left >= right;
         }
         this.checkNumberOperands(operator, left, right);
         return left >= right;
+      }
 
-      case "LESS":
+      case "LESS": {
+        const order = this.compareWithProtocol(left, right);
+        if (order !== null) return order < 0;
         if (typeof left === "string" && typeof right === "string") {
           return left < right;
         }
         this.checkNumberOperands(operator, left, right);
         return left < right;
+      }
 
-      case "LESS_EQUAL":
+      case "LESS_EQUAL": {
+        const order = this.compareWithProtocol(left, right);
+        if (order !== null) return order <= 0;
         if (typeof left === "string" && typeof right === "string") {
           return left <= right;
         }
         this.checkNumberOperands(operator, left, right);
         return left <= right;
+      }
 
       case "EQUAL_EQUAL":
         return this.isEqual(left, right);
@@ -561,6 +1200,69 @@ class Evaluator {
     }
   }
 
+  /**
+   * Finds the method a class defines for an arithmetic operator, so that
+   * v1 + v2 calls v1.sumar(v2). The left operand's method is used; an
+   * instance on the right is only accepted by + and *, which commute, so
+   * 2 * v calls v.multiplicar(2)
+   * @param {any} left - Left operand
+   * @param {string} operator - Binary operator
+   * @param {any} right - Right operand
+   * @returns {Object|null} The method with its receiver and argument, if
+   *   an operand is an instance whose class overloads the operator
+   */
+  operatorOverload(left, operator, right) {
+    const operators = {
+      PLUS: { method: "sumar", symbol: "+", commutative: true },
+      MINUS: { method: "restar", symbol: "-" },
+      STAR: { method: "multiplicar", symbol: "*", commutative: true },
+      SLASH: { method: "dividir", symbol: "/" },
+      PERCENT: { method: "modulo", symbol: "%" },
+      STAR_STAR: { method: "potencia", symbol: "**" },
+      DIV: { method: "dividirEntero", symbol: "div" },
+    };
+    const overload = operators[operator];
+    if (!overload) return null;
+
+    let receiver = left;
+    let argument = right;
+    if (!this.isInstance(left)) {
+      if (!this.isInstance(right)) return null;
+      receiver = right;
+      argument = left;
+    }
+    const method = this.findMethod(receiver.classObj, overload.method);
+    // A text + an instance concatenates (using aTexto()), and so does
+    // instance + text when the class has no sumar()
+    if (operator === "PLUS" && typeof argument === "string") {
+      return method && receiver === left
+        ? { method, receiver, argument }
+        : null;
+    }
+    if (!method) {
+      throw new Error(
+        `La clase '${receiver.className}' no define el método ${overload.method}() para el operador ${overload.symbol}`,
+      );
+    }
+    if (receiver === right && !overload.commutative) {
+      throw new Error(
+        `El operador ${overload.symbol} usa el método ${overload.method}() del operando izquierdo: la instancia de '${receiver.className}' debe ir a la izquierda`,
+      );
+    }
+    return { method, receiver, argument };
+  }
+
+  /**
+   * Checks if a value is an instance of a user class
+   * @param {any} value - Value to check
+   * @returns {boolean} True if it is an instance
+   */
+  isInstance(value) {
+    return (
+      value !== null && typeof value === "object" && value.type === "Instance"
+    );
+  }
+
   /**
    * Checks if a value is truthy
    * @param {any} value - Value to check
@@ -580,9 +1282,116 @@ class Evaluator {
    * @returns {boolean} True if they are equal
    */
   isEqual(left, right) {
+    // Instances can define esIgual(otro) to compare by value
+    const method = this.protocolMethod(left, "esIgual");
+    if (method) {
+      return this.isTruthy(this.callFunction(method, [right], left));
+    }
+    const reverse = this.protocolMethod(right, "esIgual");
+    if (reverse) {
+      return this.isTruthy(this.callFunction(reverse, [left], right));
+    }
     return left === right;
   }
 
+  /**
+   * Finds a protocol method (aTexto, esIgual, comparar) in the class of an
+   * instance, so user classes can behave like built-in values
+   * @param {any} value - Value that may be an instance
+   * @param {string} name - Protocol method name
+   * @returns {Object|null} Method function, if any
+   */
+  protocolMethod(value, name) {
+    if (value === null || typeof value !== "object") return null;
+    if (value.type !== "Instance") return null;
+    return this.findMethod(value.classObj, name);
+  }
+
+  /**
+   * Orders two values with the comparar(otro) method of either operand;
+   * values of the same enumeration are ordered by declaration
+   * @param {any} left - Left value
+   * @param {any} right - Right value
+   * @returns {number|null} Negative, zero or positive; null if the values
+   *   have no custom order
+   */
+  compareWithProtocol(left, right) {
+    if (
+      this.isEnumMember(left) &&
+      this.isEnumMember(right) &&
+      left.enumName === right.enumName
+    ) {
+      return left.index - right.index;
+    }
+
+    const method = this.protocolMethod(left, "comparar");
+    if (method) {
+      return this.checkComparison(
+        left,
+        this.callFunction(method, [right], left),
+      );
+    }
+    const reverse = this.protocolMethod(right, "comparar");
+    if (reverse) {
+      return -this.checkComparison(
+        right,
+        this.callFunction(reverse, [left], right),
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Checks that comparar() returned a number
+   * @param {Object} instance - Instance whose comparar() was called
+   * @param {any} result - Returned value
+   * @returns {number} The result
+   */
+  checkComparison(instance, result) {
+    if (typeof result !== "number") {
+      throw new Error(
+        `El método comparar() de '${instance.className}' debe retornar un número`,
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Checks if a value is a value of an enumeration
+   * @param {any} value - Value to check
+   * @returns {boolean} True if it is an enum value
+   */
+  isEnumMember(value) {
+    return (
+      value !== null && typeof value === "object" && value.type === "EnumMember"
+    );
+  }
+
+  /**
+   * Text of values with their own representation: enum values print their
+   * name, enumerations list their values (Color { ROJO, VERDE }) and
+   * instances use their aTexto() method
+   * @param {any} value - Value to convert
+   * @returns {string|null} Text, or null if the value has no custom text
+   */
+  customText(value) {
+    if (this.isEnumMember(value)) return value.name;
+    if (value !== null && typeof value === "object" && value.type === "Enum") {
+      const names = value.members.map((member) => member.name).join(", ");
+      return `${value.name} { ${names} }`;
+    }
+    if (this.isRange(value)) return this.rangeText(value);
+    const method = this.protocolMethod(value, "aTexto");
+    if (!method) return null;
+    const text = this.callFunction(method, [], value);
+    if (typeof text !== "string") {
+      throw new Error(
+        `El método aTexto() de '${value.className}' debe retornar un texto`,
+      );
+    }
+    return text;
+  }
+
   /**
    * Checks that an operand is a number
    * @param {string} operator - Operator
@@ -615,10 +1424,8 @@ class Evaluator {
       expression.callee.type === "Variable" &&
       this.isMathFunction(expression.callee.name)
     ) {
-      const args = [];
-      for (const argument of expression.arguments) {
-        args.push(this.evaluateExpression(argument));
-      }
+      const args = this.evaluateList(expression.arguments);
+      this.checkNoNamedArguments(expression.callee.name, args);
       return this.evaluateMathFunction(expression.callee.name, args);
     }
 
@@ -627,104 +1434,295 @@ class Evaluator {
       expression.callee.type === "Variable" &&
       this.isConversionFunction(expression.callee.name)
     ) {
-      const args = [];
-      for (const argument of expression.arguments) {
-        args.push(this.evaluateExpression(argument));
-      }
+      const args = this.evaluateList(expression.arguments);
+      this.checkNoNamedArguments(expression.callee.name, args);
       return this.evaluateConversionFunction(expression.callee.name, args);
     }
 
     const callee = this.evaluateExpression(expression.callee);
-    const args = [];
-
-    for (const argument of expression.arguments) {
-      args.push(this.evaluateExpression(argument));
-    }
+    this.checkOptionalLink(expression, callee);
+    let args = this.evaluateList(expression.arguments);
 
-    if (callee.type !== "Function") {
-      throw new Error("Solo se pueden llamar funciones");
+    if (!this.isCallable(callee)) {
+      throw new Error(
+        `No se puede llamar a un valor de tipo ${this.evaluateConversionFunction("tipo", [callee])}, solo se pueden llamar funciones`,
+      );
     }
 
-    if (args.length !== callee.parameters.length) {
+    args = this.resolveNamedArguments(callee, args);
+    if (!this.acceptsArguments(callee, args.length)) {
       throw new Error(
-        `Se esperaban ${callee.parameters.length} argumentos pero se recibieron ${args.length}`,
+        `Se esperaban ${this.expectedArguments(callee)} argumentos pero se recibieron ${args.length}`,
       );
     }
 
-    const environment = new Environment(this.environment);
+    return this.callFunction(callee, args);
+  }
+
+  /**
+   * Checks whether a function can be called with a number of arguments.
+   * Parameters with a default value can be left out, and a rest
+   * parameter (...resto) accepts any number of extra arguments
+   * @param {Object} func - Function object
+   * @param {number} count - Number of arguments
+   * @returns {boolean} True if the count is accepted
+   */
+  acceptsArguments(func, count) {
+    const { min, max } = this.argumentRange(func);
+    return count >= min && count <= max;
+  }
 
-    for (let i = 0; i < args.length; i++) {
-      environment.define(callee.parameters[i], args[i]);
+  /**
+   * Describes the number of arguments a function expects, for errors
+   * @param {Object} func - Function object
+   * @returns {string} "2", "entre 1 y 2" or "al menos 2"
+   */
+  expectedArguments(func) {
+    const { min, max } = this.argumentRange(func);
+    if (min === max) return `${min}`;
+    return max === Infinity ? `al menos ${min}` : `entre ${min} y ${max}`;
+  }
+
+  /**
+   * Gets the fewest and most arguments a function accepts. Every
+   * parameter up to the last one without a default is required
+   * @param {Object} func - Function object
+   * @returns {Object} { min, max }, max is Infinity with a rest parameter
+   */
+  argumentRange(func) {
+    let min = 0;
+    let max = 0;
+    for (const parameter of func.parameters) {
+      if (parameter.type === "RestElement") return { min, max: Infinity };
+      max++;
+      if (parameter.type !== "DefaultParameter") min = max;
     }
+    return { min, max };
+  }
+
+  /**
+   * Checks if a value can be called like a function
+   * @param {any} value - Value to check
+   * @returns {boolean} True if it is a function (bound methods included)
+   */
+  isCallable(value) {
+    return (
+      typeof value === "object" && value !== null && value.type === "Function"
+    );
+  }
+
+  /**
+   * Binds a method to an instance so it can be used as a standalone value
+   * @param {Object} method - Method function object
+   * @param {Object} instance - Instance bound to 'este'
+   * @returns {Object} Function object bound to the instance
+   */
+  bindMethod(method, instance) {
+    return { ...method, thisInstance: instance };
+  }
+
+  /**
+   * Calls a function object with already evaluated arguments.
+   * The call scope is created on top of the environment the function was
+   * defined in, so free variables resolve lexically.
+   * @param {Object} func - Function object
+   * @param {Array} args - Evaluated arguments
+   * @param {Object|null} instance - Instance bound to 'este' (methods only)
+   * @param {Object} bindings - Extra names defined in the call scope
+   * @returns {any} Function result
+   */
+  callFunction(func, args, instance = null, bindings = {}) {
+    if (func.native) {
+      return func.native(
+        instance !== null ? instance : func.thisInstance,
+        args,
+      );
+    }
+
+    const environment = new Environment(func.closure);
+    for (const name of Object.keys(bindings)) {
+      environment.define(name, bindings[name]);
+    }
+
+    const previousEnv = this.environment;
+    const previousInstance = this.currentInstance;
+    const previousClass = this.currentClass;
+    const previousModule = this.currentModule;
+    const callLine = this.currentLine;
+    this.environment = environment;
+    this.currentInstance = instance !== null ? instance : func.thisInstance;
+    this.currentClass = func.ownerClass || null;
+    this.currentModule = func.module || null;
+    this.callStack.push({
+      name: func.name || "función anónima",
+      line: callLine,
+    });
 
-    const previous = this.environment;
     try {
-      this.environment = environment;
-      // Arrow functions with expression body return the expression directly
-      if (callee.isArrowExpression) {
-        return this.evaluateExpression(callee.body);
-      }
-      this.executeBlock(callee.body);
-      return null;
-    } catch (returnValue) {
-      if (returnValue instanceof ReturnException) {
-        return returnValue.value;
-      }
-      throw returnValue;
+      // Parameters are bound inside the function, so pattern defaults
+      // can use earlier parameters
+      func.parameters.forEach((parameter, i) => {
+        const value =
+          parameter.type === "RestElement" ? args.slice(i) : args[i];
+        this.bindPattern(parameter, value, (name, part) =>
+          environment.define(name, part),
+        );
+      });
+      return this.executeFunctionBody(func);
     } finally {
-      this.environment = previous;
+      this.environment = previousEnv;
+      this.currentInstance = previousInstance;
+      this.currentClass = previousClass;
+      this.currentModule = previousModule;
+      this.callStack.pop();
+      this.currentLine = callLine;
     }
   }
 
   /**
-   * Evaluates a method call (array, string, number, or instance)
+   * Evaluates a method call (array, string, number, object or instance)
    * @param {Object} expression - Method call expression
    * @returns {any} Method result
    */
   evaluateMethodCall(expression) {
     const object = this.evaluateExpression(expression.object);
+    this.checkOptionalLink(expression, object);
+    if (expression.optionalCall && !this.hasMethod(object, expression.method)) {
+      throw new OptionalChainException();
+    }
+    const args = this.evaluateList(expression.arguments);
 
-    // Determine if it's an array, string, number, or instance method
-    if (Array.isArray(object)) {
-      return this.evaluateArrayMethod(
-        object,
-        expression.method,
-        expression.arguments,
+    return this.callMethod(object, expression.method, args);
+  }
+
+  /**
+   * Resolves and calls a method on any receiver at runtime.
+   * Instance methods are looked up first, then the built-in methods of the
+   * receiver type, so user classes can freely reuse built-in method names.
+   * @param {any} object - Receiver
+   * @param {string} methodName - Method name
+   * @param {Array} args - Evaluated arguments
+   * @returns {any} Method result
+   */
+  callMethod(object, methodName, args) {
+    if (object && object.type === "Instance") {
+      return this.evaluateInstanceMethodCall(object, methodName, args);
+    }
+
+    if (object && object.type === "Enum") {
+      if (methodName !== "valores") {
+        throw new Error(
+          `La enumeración '${object.name}' no tiene el método '${methodName}'`,
+        );
+      }
+      this.checkNoArguments(methodName, args);
+      return this.getEnumMember(object, methodName);
+    }
+
+    if (this.isRange(object)) {
+      return this.callRangeMethod(object, methodName, args);
+    }
+
+    if (object && object.type === "Class") {
+      // Static method: Matematica.cuadrado(3)
+      return this.callPropertyFunction(
+        this.getStaticMember(object, methodName),
+        methodName,
+        args,
       );
-    } else if (typeof object === "string") {
+    }
+
+    if (
+      Array.isArray(object) ||
+      typeof object === "string" ||
+      typeof object === "number"
+    ) {
+      return this.callBuiltinMethod(object, methodName, args);
+    }
+
+    if (typeof object === "object" && object !== null) {
+      // Function stored as a property of a plain object
+      return this.callPropertyFunction(object[methodName], methodName, args);
+    }
+
+    throw new Error(
+      `Solo se pueden llamar métodos en arreglos, cadenas, números, objetos, instancias o clases`,
+    );
+  }
+
+  /**
+   * Checks whether obj.nombre(...) has something to call, for
+   * obj.nombre?.(). Built-in methods of arrays, texts, numbers and ranges
+   * always count as present
+   * @param {any} object - Receiver
+   * @param {string} methodName - Method name
+   * @returns {boolean} True if the method exists and is not nulo
+   */
+  hasMethod(object, methodName) {
+    if (object === null || object === undefined) return false;
+    if (object.type === "Instance") {
+      if (this.findMethod(object.classObj, methodName)) return true;
+      const value = object.properties[methodName];
+      return value !== null && value !== undefined;
+    }
+    if (object.type === "Enum") return methodName === "valores";
+    if (object.type === "Class") {
+      for (let current = object; current; current = current.superclass) {
+        if (current.staticMethods.some((m) => m.name === methodName)) {
+          return true;
+        }
+        const value = current.staticFields[methodName];
+        if (value !== null && value !== undefined) return true;
+      }
+      return false;
+    }
+    if (typeof object === "object" && !Array.isArray(object)) {
+      if (this.isRange(object)) return true;
+      return object[methodName] !== null && object[methodName] !== undefined;
+    }
+    return true;
+  }
+
+  /**
+   * Calls a built-in method of an array, string or number
+   * @param {Array|string|number} object - Receiver
+   * @param {string} method - Method name
+   * @param {Array} args - Evaluated arguments
+   * @returns {any} Method result
+   */
+  callBuiltinMethod(object, method, args) {
+    this.checkNoNamedArguments(method, args);
+    if (Array.isArray(object)) {
+      return this.evaluateArrayMethod(object, method, args);
+    }
+
+    if (typeof object === "string") {
       // Check if the method is valid for strings
       if (
-        expression.method === "agregar" ||
-        expression.method === "remover" ||
-        expression.method === "recorrer" ||
-        expression.method === "primero" ||
-        expression.method === "ultimo"
+        method === "agregar" ||
+        method === "remover" ||
+        method === "recorrer" ||
+        method === "primero" ||
+        method === "ultimo"
       ) {
         throw new Error(
-          `El método ${expression.method}() solo se puede llamar en arreglos`,
+          `El método ${method}() solo se puede llamar en arreglos`,
         );
       }
-      return this.evaluateStringMethod(
-        object,
-        expression.method,
-        expression.arguments,
-      );
-    } else if (typeof object === "number") {
-      return this.evaluateNumberMethod(
-        object,
-        expression.method,
-        expression.arguments,
-      );
-    } else if (object && object.type === "Instance") {
-      return this.evaluateInstanceMethodCall(
-        object,
-        expression.method,
-        expression.arguments,
-      );
-    } else {
-      throw new Error(
-        `Solo se pueden llamar métodos en arreglos, cadenas, números o instancias`,
-      );
+      return this.evaluateStringMethod(object, method, args);
+    }
+
+    return this.evaluateNumberMethod(object, method, args);
+  }
+
+  /**
+   * Checks that a built-in method was called without arguments
+   * @param {string} method - Method name
+   * @param {Array} args - Evaluated arguments
+   */
+  checkNoArguments(method, args) {
+    if (args.length > 0) {
+      throw new Error(`El método ${method}() no acepta argumentos`);
     }
   }
 
@@ -732,88 +1730,74 @@ class Evaluator {
    * Evaluates an instance method call
    * @param {Object} instance - The instance object
    * @param {string} methodName - The method name
-   * @param {Array} args - Method arguments
+   * @param {Array} args - Evaluated method arguments
    * @returns {any} Method result
    */
   evaluateInstanceMethodCall(instance, methodName, args) {
-    // Find the method in the class
-    let method = null;
-    const classObj = instance.classObj;
-
-    for (const m of classObj.methods) {
-      if (m.name === methodName) {
-        method = m;
-        break;
-      }
-    }
-
-    // If not found, check parent class
-    if (!method && instance.parentClass) {
-      for (const m of instance.parentClass.methods) {
-        if (m.name === methodName) {
-          method = m;
-          break;
-        }
-      }
-    }
+    // Find the method in the class or its ancestors
+    const method = this.findMethod(instance.classObj, methodName);
 
     if (!method) {
+      if (methodName in instance.properties) {
+        return this.callPropertyFunction(
+          instance.properties[methodName],
+          methodName,
+          args,
+        );
+      }
       throw new Error(
         `Método '${methodName}' no encontrado en la clase '${instance.className}'`,
       );
     }
 
-    // Evaluate arguments
-    const evaluatedArgs = [];
-    for (const arg of args) {
-      evaluatedArgs.push(this.evaluateExpression(arg));
-    }
-
     // Check argument count
-    if (method.parameters.length !== evaluatedArgs.length) {
+    args = this.resolveNamedArguments(method, args);
+    if (!this.acceptsArguments(method, args.length)) {
       throw new Error(
-        `El método '${methodName}' espera ${method.parameters.length} argumentos pero recibió ${evaluatedArgs.length}`,
+        `El método '${methodName}' espera ${this.expectedArguments(method)} argumentos pero recibió ${args.length}`,
       );
     }
 
-    // Set up method environment
-    const methodEnv = new Environment(this.environment);
-    for (let i = 0; i < evaluatedArgs.length; i++) {
-      methodEnv.define(method.parameters[i], evaluatedArgs[i]);
-    }
+    return this.callFunction(method, args, instance);
+  }
 
-    const previousInstance = this.currentInstance;
-    const previousEnv = this.environment;
-    this.currentInstance = instance;
-    this.environment = methodEnv;
+  /**
+   * Calls a function stored in an object property (obj.accion())
+   * @param {any} value - Property value
+   * @param {string} name - Property name
+   * @param {Array} args - Evaluated arguments
+   * @returns {any} Function result
+   */
+  callPropertyFunction(value, name, args) {
+    if (!this.isCallable(value)) {
+      throw new Error(`La propiedad '${name}' no es una función`);
+    }
 
-    try {
-      this.executeBlock(method.body);
-      return null;
-    } catch (returnValue) {
-      if (returnValue instanceof ReturnException) {
-        return returnValue.value;
-      }
-      throw returnValue;
-    } finally {
-      this.environment = previousEnv;
-      this.currentInstance = previousInstance;
+    args = this.resolveNamedArguments(value, args);
+    if (!this.acceptsArguments(value, args.length)) {
+      throw new Error(
+        `Se esperaban ${this.expectedArguments(value)} argumentos pero se recibieron ${args.length}`,
+      );
     }
+
+    return this.callFunction(value, args);
   }
 
   /**
    * Evaluates an array method
    * @param {Array} array - The array object
    * @param {string} method - The method name
-   * @param {Array} args - Method arguments (optional)
+   * @param {Array} args - Evaluated method arguments (optional)
    * @returns {any} Method result
    */
   evaluateArrayMethod(array, method, args = []) {
     switch (method) {
       case "longitud":
+        this.checkNoArguments(method, args);
         return array.length;
 
       case "primero":
+        this.checkNoArguments(method, args);
         if (array.length === 0) {
           throw new Error(
             "No se puede obtener el primer elemento de un arreglo vacío",
@@ -822,6 +1806,7 @@ class Evaluator {
         return array[0];
 
       case "ultimo":
+        this.checkNoArguments(method, args);
         if (array.length === 0) {
           throw new Error(
             "No se puede obtener el último elemento de un arreglo vacío",
@@ -830,14 +1815,12 @@ class Evaluator {
         return array[array.length - 1];
 
       case "agregar":
-        // Evaluate all arguments and add them to the array
-        for (const arg of args) {
-          const value = this.evaluateExpression(arg);
-          array.push(value);
-        }
+        // Add all arguments to the array
+        array.push(...args);
         return array.length; // Return the new length
 
       case "remover":
+        this.checkNoArguments(method, args);
         // Remove and return the last element
         if (array.length === 0) {
           throw new Error(
@@ -847,14 +1830,15 @@ class Evaluator {
         return array.pop(); // Return the removed element
 
       case "contiene":
+      case "incluye":
         // Check if array contains the specified element
         if (args.length !== 1) {
           throw new Error(
-            "El método contiene() requiere exactamente un argumento",
+            `El método ${method}() requiere exactamente un argumento`,
           );
         }
-        const searchElement = this.evaluateExpression(args[0]);
-        return array.includes(searchElement);
+        const searchElement = args[0];
+        return array.some((element) => this.isEqual(element, searchElement));
 
       case "recorrer":
         // Iterate through array and call function for each element
@@ -863,44 +1847,33 @@ class Evaluator {
             "El método recorrer() requiere exactamente un argumento",
           );
         }
-        const callback = this.evaluateExpression(args[0]);
-        if (callback.type !== "Function") {
+        const callback = args[0];
+        if (!this.isCallable(callback)) {
+          throw new Error(
+            "El método recorrer() requiere una función como argumento",
+          );
+        }
+
+        if (callback.parameters.length > 2) {
           throw new Error(
-            "El método recorrer() requiere una función como argumento",
+            "La función en recorrer() puede tener máximo 2 parámetros",
           );
         }
 
         // Call the function for each element
         for (let i = 0; i < array.length; i++) {
-          // Create a new environment for the callback function
-          const callbackEnv = new Environment(this.environment);
-
-          // Handle function parameters
           if (callback.parameters.length === 0) {
             // No parameters - use automatic variables
-            callbackEnv.define("elemento", array[i]);
-            callbackEnv.define("indice", i);
+            this.callFunction(callback, [], null, {
+              elemento: array[i],
+              indice: i,
+            });
           } else if (callback.parameters.length === 1) {
             // One parameter - element only
-            callbackEnv.define(callback.parameters[0], array[i]);
-            callbackEnv.define("indice", i);
-          } else if (callback.parameters.length === 2) {
-            // Two parameters - element and index
-            callbackEnv.define(callback.parameters[0], array[i]);
-            callbackEnv.define(callback.parameters[1], i);
+            this.callFunction(callback, [array[i]], null, { indice: i });
           } else {
-            throw new Error(
-              "La función en recorrer() puede tener máximo 2 parámetros",
-            );
-          }
-
-          // Execute the callback function
-          const previousEnv = this.environment;
-          this.environment = callbackEnv;
-          try {
-            this.executeFunctionBody(callback);
-          } finally {
-            this.environment = previousEnv;
+            // Two parameters - element and index
+            this.callFunction(callback, [array[i], i]);
           }
         }
         return null; // forEach doesn't return anything
@@ -910,28 +1883,15 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("filtrar() requiere exactamente 1 argumento");
         }
-        const filterCallback = this.evaluateExpression(args[0]);
-        if (filterCallback.type !== "Function") {
+        const filterCallback = args[0];
+        if (!this.isCallable(filterCallback)) {
           throw new Error("filtrar() requiere una función como argumento");
         }
         const filteredArray = [];
         for (let i = 0; i < array.length; i++) {
-          const filterEnv = new Environment(this.environment);
-          if (filterCallback.parameters.length >= 1) {
-            filterEnv.define(filterCallback.parameters[0], array[i]);
-          }
-          if (filterCallback.parameters.length >= 2) {
-            filterEnv.define(filterCallback.parameters[1], i);
-          }
-          const prevEnv = this.environment;
-          this.environment = filterEnv;
-          try {
-            const result = this.executeFunctionBody(filterCallback);
-            if (this.isTruthy(result)) {
-              filteredArray.push(array[i]);
-            }
-          } finally {
-            this.environment = prevEnv;
+          const result = this.callFunction(filterCallback, [array[i], i]);
+          if (this.isTruthy(result)) {
+            filteredArray.push(array[i]);
           }
         }
         return filteredArray;
@@ -941,27 +1901,13 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("mapear() requiere exactamente 1 argumento");
         }
-        const mapCallback = this.evaluateExpression(args[0]);
-        if (mapCallback.type !== "Function") {
+        const mapCallback = args[0];
+        if (!this.isCallable(mapCallback)) {
           throw new Error("mapear() requiere una función como argumento");
         }
         const mappedArray = [];
         for (let i = 0; i < array.length; i++) {
-          const mapEnv = new Environment(this.environment);
-          if (mapCallback.parameters.length >= 1) {
-            mapEnv.define(mapCallback.parameters[0], array[i]);
-          }
-          if (mapCallback.parameters.length >= 2) {
-            mapEnv.define(mapCallback.parameters[1], i);
-          }
-          const prevEnv = this.environment;
-          this.environment = mapEnv;
-          try {
-            const result = this.executeFunctionBody(mapCallback);
-            mappedArray.push(result);
-          } finally {
-            this.environment = prevEnv;
-          }
+          mappedArray.push(this.callFunction(mapCallback, [array[i], i]));
         }
         return mappedArray;
 
@@ -970,33 +1916,20 @@ class Evaluator {
         if (args.length < 1 || args.length > 2) {
           throw new Error("reducir() requiere 1 o 2 argumentos");
         }
-        const reduceCallback = this.evaluateExpression(args[0]);
-        if (reduceCallback.type !== "Function") {
+        const reduceCallback = args[0];
+        if (!this.isCallable(reduceCallback)) {
           throw new Error(
             "reducir() requiere una función como primer argumento",
           );
         }
-        let accumulator =
-          args.length === 2 ? this.evaluateExpression(args[1]) : array[0];
+        let accumulator = args.length === 2 ? args[1] : array[0];
         const startIndex = args.length === 2 ? 0 : 1;
         for (let i = startIndex; i < array.length; i++) {
-          const reduceEnv = new Environment(this.environment);
-          if (reduceCallback.parameters.length >= 1) {
-            reduceEnv.define(reduceCallback.parameters[0], accumulator);
-          }
-          if (reduceCallback.parameters.length >= 2) {
-            reduceEnv.define(reduceCallback.parameters[1], array[i]);
-          }
-          if (reduceCallback.parameters.length >= 3) {
-            reduceEnv.define(reduceCallback.parameters[2], i);
-          }
-          const prevEnv = this.environment;
-          this.environment = reduceEnv;
-          try {
-            accumulator = this.executeFunctionBody(reduceCallback);
-          } finally {
-            this.environment = prevEnv;
-          }
+          accumulator = this.callFunction(reduceCallback, [
+            accumulator,
+            array[i],
+            i,
+          ]);
         }
         return accumulator;
 
@@ -1008,34 +1941,24 @@ class Evaluator {
             if (typeof a === "number" && typeof b === "number") {
               return a - b;
             }
+            const order = this.compareWithProtocol(a, b);
+            if (order !== null) return order;
             return String(a).localeCompare(String(b));
           });
         } else if (args.length === 1) {
-          const sortCallback = this.evaluateExpression(args[0]);
-          if (sortCallback.type !== "Function") {
+          const sortCallback = args[0];
+          if (!this.isCallable(sortCallback)) {
             throw new Error("ordenar() requiere una función como argumento");
           }
-          return [...array].sort((a, b) => {
-            const sortEnv = new Environment(this.environment);
-            if (sortCallback.parameters.length >= 1) {
-              sortEnv.define(sortCallback.parameters[0], a);
-            }
-            if (sortCallback.parameters.length >= 2) {
-              sortEnv.define(sortCallback.parameters[1], b);
-            }
-            const prevEnv = this.environment;
-            this.environment = sortEnv;
-            try {
-              return this.executeFunctionBody(sortCallback) || 0;
-            } finally {
-              this.environment = prevEnv;
-            }
-          });
+          return [...array].sort(
+            (a, b) => this.callFunction(sortCallback, [a, b]) || 0,
+          );
         } else {
           throw new Error("ordenar() acepta 0 o 1 argumentos");
         }
 
       case "invertir":
+        this.checkNoArguments(method, args);
         // Reverse array (returns new array)
         return [...array].reverse();
 
@@ -1044,27 +1967,14 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("buscar() requiere exactamente 1 argumento");
         }
-        const findCallback = this.evaluateExpression(args[0]);
-        if (findCallback.type !== "Function") {
+        const findCallback = args[0];
+        if (!this.isCallable(findCallback)) {
           throw new Error("buscar() requiere una función como argumento");
         }
         for (let i = 0; i < array.length; i++) {
-          const findEnv = new Environment(this.environment);
-          if (findCallback.parameters.length >= 1) {
-            findEnv.define(findCallback.parameters[0], array[i]);
-          }
-          if (findCallback.parameters.length >= 2) {
-            findEnv.define(findCallback.parameters[1], i);
-          }
-          const prevEnv = this.environment;
-          this.environment = findEnv;
-          try {
-            const result = this.executeFunctionBody(findCallback);
-            if (this.isTruthy(result)) {
-              return array[i];
-            }
-          } finally {
-            this.environment = prevEnv;
+          const result = this.callFunction(findCallback, [array[i], i]);
+          if (this.isTruthy(result)) {
+            return array[i];
           }
         }
         return undefined;
@@ -1074,27 +1984,14 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("algunos() requiere exactamente 1 argumento");
         }
-        const someCallback = this.evaluateExpression(args[0]);
-        if (someCallback.type !== "Function") {
+        const someCallback = args[0];
+        if (!this.isCallable(someCallback)) {
           throw new Error("algunos() requiere una función como argumento");
         }
         for (let i = 0; i < array.length; i++) {
-          const someEnv = new Environment(this.environment);
-          if (someCallback.parameters.length >= 1) {
-            someEnv.define(someCallback.parameters[0], array[i]);
-          }
-          if (someCallback.parameters.length >= 2) {
-            someEnv.define(someCallback.parameters[1], i);
-          }
-          const prevEnv = this.environment;
-          this.environment = someEnv;
-          try {
-            const result = this.executeFunctionBody(someCallback);
-            if (this.isTruthy(result)) {
-              return true;
-            }
-          } finally {
-            this.environment = prevEnv;
+          const result = this.callFunction(someCallback, [array[i], i]);
+          if (this.isTruthy(result)) {
+            return true;
           }
         }
         return false;
@@ -1104,27 +2001,14 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("todos() requiere exactamente 1 argumento");
         }
-        const everyCallback = this.evaluateExpression(args[0]);
-        if (everyCallback.type !== "Function") {
+        const everyCallback = args[0];
+        if (!this.isCallable(everyCallback)) {
           throw new Error("todos() requiere una función como argumento");
         }
         for (let i = 0; i < array.length; i++) {
-          const everyEnv = new Environment(this.environment);
-          if (everyCallback.parameters.length >= 1) {
-            everyEnv.define(everyCallback.parameters[0], array[i]);
-          }
-          if (everyCallback.parameters.length >= 2) {
-            everyEnv.define(everyCallback.parameters[1], i);
-          }
-          const prevEnv = this.environment;
-          this.environment = everyEnv;
-          try {
-            const result = this.executeFunctionBody(everyCallback);
-            if (!this.isTruthy(result)) {
-              return false;
-            }
-          } finally {
-            this.environment = prevEnv;
+          const result = this.callFunction(everyCallback, [array[i], i]);
+          if (!this.isTruthy(result)) {
+            return false;
           }
         }
         return true;
@@ -1134,7 +2018,7 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("unir() requiere exactamente 1 argumento");
         }
-        const separator = this.evaluateExpression(args[0]);
+        const separator = args[0];
         if (typeof separator !== "string") {
           throw new Error("unir() requiere un argumento de tipo cadena");
         }
@@ -1145,12 +2029,12 @@ class Evaluator {
         if (args.length < 1 || args.length > 2) {
           throw new Error("cortar() requiere 1 o 2 argumentos");
         }
-        const sliceStart = this.evaluateExpression(args[0]);
+        const sliceStart = args[0];
         if (typeof sliceStart !== "number") {
           throw new Error("cortar() requiere argumentos numéricos");
         }
         if (args.length === 2) {
-          const sliceEnd = this.evaluateExpression(args[1]);
+          const sliceEnd = args[1];
           if (typeof sliceEnd !== "number") {
             throw new Error("cortar() requiere argumentos numéricos");
           }
@@ -1163,8 +2047,8 @@ class Evaluator {
         if (args.length !== 2) {
           throw new Error("insertar() requiere exactamente 2 argumentos");
         }
-        const insertIndex = this.evaluateExpression(args[0]);
-        const insertValue = this.evaluateExpression(args[1]);
+        const insertIndex = args[0];
+        const insertValue = args[1];
         if (typeof insertIndex !== "number") {
           throw new Error("insertar() requiere un índice numérico");
         }
@@ -1180,25 +2064,28 @@ class Evaluator {
    * Evaluates a string method
    * @param {string} string - The string object
    * @param {string} method - The method name
-   * @param {Array} args - Method arguments (optional)
+   * @param {Array} args - Evaluated method arguments (optional)
    * @returns {any} Method result
    */
   evaluateStringMethod(string, method, args = []) {
     switch (method) {
       case "longitud":
+        this.checkNoArguments(method, args);
         return string.length;
 
       case "mayusculas":
+        this.checkNoArguments(method, args);
         return string.toUpperCase();
 
       case "minusculas":
+        this.checkNoArguments(method, args);
         return string.toLowerCase();
 
       case "dividir":
         if (args.length !== 1) {
           throw new Error("dividir() requiere exactamente 1 argumento");
         }
-        const separator = this.evaluateExpression(args[0]);
+        const separator = args[0];
         if (typeof separator !== "string") {
           throw new Error("dividir() requiere un argumento de tipo cadena");
         }
@@ -1208,21 +2095,22 @@ class Evaluator {
         if (args.length !== 2) {
           throw new Error("reemplazar() requiere exactamente 2 argumentos");
         }
-        const search = this.evaluateExpression(args[0]);
-        const replacement = this.evaluateExpression(args[1]);
+        const search = args[0];
+        const replacement = args[1];
         if (typeof search !== "string" || typeof replacement !== "string") {
           throw new Error("reemplazar() requiere argumentos de tipo cadena");
         }
         return string.split(search).join(replacement);
 
       case "recortar":
+        this.checkNoArguments(method, args);
         return string.trim();
 
       case "incluye":
         if (args.length !== 1) {
           throw new Error("incluye() requiere exactamente 1 argumento");
         }
-        const substring = this.evaluateExpression(args[0]);
+        const substring = args[0];
         if (typeof substring !== "string") {
           throw new Error("incluye() requiere un argumento de tipo cadena");
         }
@@ -1232,7 +2120,7 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("empiezaCon() requiere exactamente 1 argumento");
         }
-        const prefix = this.evaluateExpression(args[0]);
+        const prefix = args[0];
         if (typeof prefix !== "string") {
           throw new Error("empiezaCon() requiere un argumento de tipo cadena");
         }
@@ -1242,7 +2130,7 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("terminaCon() requiere exactamente 1 argumento");
         }
-        const suffix = this.evaluateExpression(args[0]);
+        const suffix = args[0];
         if (typeof suffix !== "string") {
           throw new Error("terminaCon() requiere un argumento de tipo cadena");
         }
@@ -1252,7 +2140,7 @@ class Evaluator {
         if (args.length !== 1) {
           throw new Error("caracter() requiere exactamente 1 argumento");
         }
-        const charIndex = this.evaluateExpression(args[0]);
+        const charIndex = args[0];
         if (typeof charIndex !== "number") {
           throw new Error("caracter() requiere un argumento numérico");
         }
@@ -1265,12 +2153,12 @@ class Evaluator {
         if (args.length < 1 || args.length > 2) {
           throw new Error("subcadena() requiere 1 o 2 argumentos");
         }
-        const start = this.evaluateExpression(args[0]);
+        const start = args[0];
         if (typeof start !== "number") {
           throw new Error("subcadena() requiere argumentos numéricos");
         }
         if (args.length === 2) {
-          const end = this.evaluateExpression(args[1]);
+          const end = args[1];
           if (typeof end !== "number") {
             throw new Error("subcadena() requiere argumentos numéricos");
           }
@@ -1279,13 +2167,14 @@ class Evaluator {
         return string.substring(start);
 
       case "invertir":
+        this.checkNoArguments(method, args);
         return string.split("").reverse().join("");
 
       case "contiene":
         if (args.length !== 1) {
           throw new Error("contiene() requiere exactamente 1 argumento");
         }
-        const searchStr = this.evaluateExpression(args[0]);
+        const searchStr = args[0];
         if (typeof searchStr !== "string") {
           throw new Error("contiene() requiere un argumento de tipo cadena");
         }
@@ -1300,10 +2189,12 @@ class Evaluator {
    * Evaluates a number method
    * @param {number} number - The number object
    * @param {string} method - The method name
-   * @param {Array} args - Method arguments (optional)
+   * @param {Array} args - Evaluated method arguments (optional)
    * @returns {any} Method result
    */
   evaluateNumberMethod(number, method, args = []) {
+    this.checkNoArguments(method, args);
+
     switch (method) {
       case "esPar":
         return number % 2 === 0;
@@ -1338,65 +2229,62 @@ class Evaluator {
       throw new Error(`'${className}' no es una clase`);
     }
 
+    if (classObj.abstract) {
+      throw new Error(
+        `No se puede crear una instancia de la clase abstracta '${className}'`,
+      );
+    }
+
     // Create a new instance
     const instance = {
       type: "Instance",
       className: className,
       classObj: classObj,
       properties: {},
+      privateFields: new Map(),
     };
 
-    // Evaluate constructor arguments
-    const args = [];
-    for (const arg of expression.arguments) {
-      args.push(this.evaluateExpression(arg));
-    }
-
-    // If class extends another, get parent class
-    let parentClass = null;
-    if (classObj.superclass) {
-      parentClass = this.environment.get(classObj.superclass);
-      if (!parentClass || parentClass.type !== "Class") {
-        throw new Error(`Clase padre '${classObj.superclass}' no encontrada`);
-      }
-      instance.parentClass = parentClass;
+    // Errors remember their type and where they were created
+    if (this.isInstanceOf(instance, this.errorClass)) {
+      instance.properties = {
+        mensaje: "",
+        tipo: className,
+        linea: this.currentLine,
+        pila: this.captureStack(this.currentLine),
+      };
     }
 
-    // Execute constructor if present
-    if (classObj.constructor) {
-      const previousInstance = this.currentInstance;
-      this.currentInstance = instance;
-
-      const constructorEnv = new Environment(this.environment);
+    // Evaluate constructor arguments
+    let args = this.evaluateList(expression.arguments);
 
-      // Bind constructor parameters
-      if (classObj.constructor.parameters.length !== args.length) {
+    // Execute constructor if present (a class without one inherits it)
+    const constructor = this.findConstructor(classObj);
+    if (constructor) {
+      args = this.resolveNamedArguments(constructor, args);
+      if (!this.acceptsArguments(constructor, args.length)) {
         throw new Error(
-          `El constructor de '${className}' espera ${classObj.constructor.parameters.length} argumentos pero recibió ${args.length}`,
+          `El constructor de '${className}' espera ${this.expectedArguments(constructor)} argumentos pero recibió ${args.length}`,
         );
       }
-      for (let i = 0; i < args.length; i++) {
-        constructorEnv.define(classObj.constructor.parameters[i], args[i]);
-      }
-
-      const previousEnv = this.environment;
-      this.environment = constructorEnv;
-
-      try {
-        this.executeBlock(classObj.constructor.body);
-      } catch (returnValue) {
-        if (!(returnValue instanceof ReturnException)) {
-          throw returnValue;
-        }
-      } finally {
-        this.environment = previousEnv;
-        this.currentInstance = previousInstance;
-      }
+      this.callFunction(constructor, args, instance);
     }
 
     return instance;
   }
 
+  /**
+   * Finds the constructor of a class, inherited from the closest ancestor
+   * that defines one
+   * @param {Object} classObj - Class to construct
+   * @returns {Object|null} Constructor function, if any
+   */
+  findConstructor(classObj) {
+    for (let current = classObj; current; current = current.superclass) {
+      if (current.constructor) return current.constructor;
+    }
+    return null;
+  }
+
   /**
    * Evaluates this property access (este.propiedad)
    * @param {Object} expression - ThisPropertyAccess expression
@@ -1407,54 +2295,80 @@ class Evaluator {
       throw new Error("'este' solo se puede usar dentro de un método de clase");
     }
 
-    const property = expression.property;
+    return this.getThisProperty(expression.property);
+  }
+
+  /**
+   * Evaluates this property assignment (este.propiedad = valor)
+   * @param {Object} expression - ThisPropertyAssign expression
+   * @returns {any} Assigned value
+   */
+  evaluateThisPropertyAssign(expression) {
+    if (this.currentInstance === null) {
+      throw new Error("'este' solo se puede usar dentro de un método de clase");
+    }
+
+    const value = this.evaluateExpression(expression.value);
+    return this.setThisProperty(expression.property, value);
+  }
 
-    // Check if it's a property
-    if (property in this.currentInstance.properties) {
-      return this.currentInstance.properties[property];
+  /**
+   * Reads este.nombre; private names (#nombre) are looked up in the fields
+   * and methods of the class whose method is running
+   * @param {string} name - Property name
+   * @returns {any} Property value
+   */
+  getThisProperty(name) {
+    if (!name.startsWith("#")) {
+      return this.getProperty(this.currentInstance, name);
     }
 
-    // Check if it's a method
-    const classObj = this.currentInstance.classObj;
-    for (const method of classObj.methods) {
-      if (method.name === property) {
-        // Return a bound method
-        return {
-          type: "BoundMethod",
-          method: method,
-          instance: this.currentInstance,
-        };
-      }
+    const instance = this.currentInstance;
+    const fields = instance.privateFields.get(this.currentClass);
+    if (fields && name in fields) {
+      return fields[name];
+    }
+    const method = this.currentClass.methods.find((m) => m.name === name);
+    if (method) {
+      return this.bindMethod(method, instance);
     }
 
-    // Check parent class methods
-    if (this.currentInstance.parentClass) {
-      for (const method of this.currentInstance.parentClass.methods) {
-        if (method.name === property) {
-          return {
-            type: "BoundMethod",
-            method: method,
-            instance: this.currentInstance,
-          };
-        }
+    // A private member of another class in the chain is not reachable
+    for (
+      let current = instance.classObj;
+      current;
+      current = current.superclass
+    ) {
+      const privateFields = instance.privateFields.get(current);
+      if (
+        (privateFields && name in privateFields) ||
+        current.methods.some((m) => m.name === name)
+      ) {
+        throw new Error(
+          `El miembro privado '${name}' solo es accesible dentro de la clase '${current.name}'`,
+        );
       }
     }
-
     return undefined;
   }
 
   /**
-   * Evaluates this property assignment (este.propiedad = valor)
-   * @param {Object} expression - ThisPropertyAssign expression
+   * Assigns este.nombre; private fields are stored per class, so a subclass
+   * never sees or overwrites the private fields of its parent
+   * @param {string} name - Property name
+   * @param {any} value - Value to assign
    * @returns {any} Assigned value
    */
-  evaluateThisPropertyAssign(expression) {
-    if (this.currentInstance === null) {
-      throw new Error("'este' solo se puede usar dentro de un método de clase");
+  setThisProperty(name, value) {
+    if (!name.startsWith("#")) {
+      return this.setProperty(this.currentInstance, name, value);
     }
 
-    const value = this.evaluateExpression(expression.value);
-    this.currentInstance.properties[expression.property] = value;
+    const privateFields = this.currentInstance.privateFields;
+    if (!privateFields.has(this.currentClass)) {
+      privateFields.set(this.currentClass, {});
+    }
+    privateFields.get(this.currentClass)[name] = value;
     return value;
   }
 
@@ -1468,10 +2382,20 @@ class Evaluator {
       throw new Error("'este' solo se puede usar dentro de un método de clase");
     }
 
+    const args = this.evaluateList(expression.arguments);
+
+    if (expression.method.startsWith("#")) {
+      return this.callPropertyFunction(
+        this.getThisProperty(expression.method),
+        expression.method,
+        args,
+      );
+    }
+
     return this.evaluateInstanceMethodCall(
       this.currentInstance,
       expression.method,
-      expression.arguments,
+      args,
     );
   }
 
@@ -1481,53 +2405,84 @@ class Evaluator {
    * @returns {any} Result of parent constructor
    */
   evaluateSuperCall(expression) {
+    const parentClass = this.currentParentClass();
     if (this.currentInstance === null) {
       throw new Error(
-        "'super' solo se puede usar dentro de un método de clase",
-      );
-    }
-
-    const parentClass = this.currentInstance.parentClass;
-    if (!parentClass) {
-      throw new Error(
-        "'super' solo se puede usar en clases que extienden otra clase",
+        "'super()' solo se puede usar dentro de un constructor o método",
       );
     }
 
     // Evaluate arguments
-    const args = [];
-    for (const arg of expression.arguments) {
-      args.push(this.evaluateExpression(arg));
-    }
+    let args = this.evaluateList(expression.arguments);
 
-    // Execute parent constructor
-    if (parentClass.constructor) {
-      const constructorEnv = new Environment(this.environment);
-
-      if (parentClass.constructor.parameters.length !== args.length) {
+    // Execute the closest ancestor constructor
+    const constructor = this.findConstructor(parentClass);
+    if (constructor) {
+      args = this.resolveNamedArguments(constructor, args);
+      if (!this.acceptsArguments(constructor, args.length)) {
         throw new Error(
-          `El constructor padre espera ${parentClass.constructor.parameters.length} argumentos pero recibió ${args.length}`,
+          `El constructor padre espera ${this.expectedArguments(constructor)} argumentos pero recibió ${args.length}`,
         );
       }
-      for (let i = 0; i < args.length; i++) {
-        constructorEnv.define(parentClass.constructor.parameters[i], args[i]);
-      }
+      this.callFunction(constructor, args, this.currentInstance);
+    }
 
-      const previousEnv = this.environment;
-      this.environment = constructorEnv;
+    return null;
+  }
 
-      try {
-        this.executeBlock(parentClass.constructor.body);
-      } catch (returnValue) {
-        if (!(returnValue instanceof ReturnException)) {
-          throw returnValue;
-        }
-      } finally {
-        this.environment = previousEnv;
-      }
+  /**
+   * Evaluates super.metodo() call, running the parent's implementation
+   * (its static version when called from a static method)
+   * @param {Object} expression - SuperMethodCall expression
+   * @returns {any} Method result
+   */
+  evaluateSuperMethodCall(expression) {
+    const parentClass = this.currentParentClass();
+
+    let args = this.evaluateList(expression.arguments);
+
+    if (this.currentInstance === null) {
+      return this.callPropertyFunction(
+        this.getStaticMember(parentClass, expression.method),
+        expression.method,
+        args,
+      );
     }
 
-    return null;
+    const method = this.findMethod(parentClass, expression.method);
+    if (!method) {
+      throw new Error(
+        `Método '${expression.method}' no encontrado en la clase padre '${parentClass.name}'`,
+      );
+    }
+    args = this.resolveNamedArguments(method, args);
+    if (!this.acceptsArguments(method, args.length)) {
+      throw new Error(
+        `El método '${expression.method}' espera ${this.expectedArguments(method)} argumentos pero recibió ${args.length}`,
+      );
+    }
+
+    return this.callFunction(method, args, this.currentInstance);
+  }
+
+  /**
+   * Returns the parent of the class whose method is running, for 'super'
+   * @returns {Object} Parent class
+   */
+  currentParentClass() {
+    if (this.currentClass === null) {
+      throw new Error(
+        "'super' solo se puede usar dentro de un método de clase",
+      );
+    }
+
+    if (!this.currentClass.superclass) {
+      throw new Error(
+        "'super' solo se puede usar en clases que extienden otra clase",
+      );
+    }
+
+    return this.currentClass.superclass;
   }
 
   /**
@@ -1794,8 +2749,10 @@ class Evaluator {
         }
         throw new Error("No se puede convertir a decimal");
 
-      case "texto":
+      case "texto": {
         // Convert to string (Spanish representation)
+        const text = this.customText(value);
+        if (text !== null) return text;
         if (value === null) return "nulo";
         if (value === undefined) return "indefinido";
         if (typeof value === "boolean") return value ? "verdadero" : "falso";
@@ -1806,85 +2763,305 @@ class Evaluator {
         if (typeof value === "object") {
           return "[objeto]";
         }
-        return String(value);
-
-      case "booleano":
-        // Convert to boolean
-        if (value === null || value === undefined) return false;
-        if (typeof value === "boolean") return value;
-        if (typeof value === "number") return value !== 0;
-        if (typeof value === "string") return value.length > 0;
-        if (Array.isArray(value)) return value.length > 0;
-        return true;
+        return String(value);
+      }
+
+      case "booleano":
+        // Convert to boolean
+        if (value === null || value === undefined) return false;
+        if (typeof value === "boolean") return value;
+        if (typeof value === "number") return value !== 0;
+        if (typeof value === "string") return value.length > 0;
+        if (Array.isArray(value)) return value.length > 0;
+        return true;
+
+      case "tipo":
+        // Return type as Spanish string
+        if (value === null) return "nulo";
+        if (value === undefined) return "indefinido";
+        if (typeof value === "number") return "numero";
+        if (typeof value === "string") return "texto";
+        if (typeof value === "boolean") return "booleano";
+        if (Array.isArray(value)) return "arreglo";
+        if (typeof value === "object" && value.type === "Function")
+          return "funcion";
+        if (typeof value === "object" && value.type === "Instance")
+          return value.className;
+        if (typeof value === "object" && value.type === "Class") return "clase";
+        if (typeof value === "object" && value.type === "Interface")
+          return "interfaz";
+        if (typeof value === "object" && value.type === "Enum")
+          return "enumeracion";
+        if (typeof value === "object" && value.type === "EnumMember")
+          return value.enumName;
+        if (typeof value === "object" && value.type === "Range") return "rango";
+        if (typeof value === "object") return "objeto";
+        return "desconocido";
+
+      default:
+        throw new Error(`Función de conversión desconocida: ${name}`);
+    }
+  }
+
+  /**
+   * Helper to stringify values for texto() function
+   * @param {any} value - Value to stringify
+   * @returns {string} String representation
+   */
+  stringifyForTexto(value) {
+    const text = this.customText(value);
+    if (text !== null) return text;
+    if (this.isErrorValue(value)) return String(value.properties.mensaje);
+    if (value === null) return "nulo";
+    if (value === undefined) return "indefinido";
+    if (typeof value === "boolean") return value ? "verdadero" : "falso";
+    if (typeof value === "string") return value;
+    if (Array.isArray(value)) {
+      return `[${value.map((v) => this.stringifyForTexto(v)).join(", ")}]`;
+    }
+    return String(value);
+  }
+
+  /**
+   * Evaluates a template string with interpolation
+   * @param {Object} expression - Template string expression
+   * @returns {string} Interpolated string result
+   */
+  evaluateTemplateString(expression) {
+    const { parts, expressions } = expression;
+    let result = "";
+
+    for (let i = 0; i < parts.length; i++) {
+      result += parts[i];
+      if (i < expressions.length) {
+        const value = this.evaluateExpression(expressions[i]);
+        result += this.stringifySpanish(value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluates an array literal
+   * @param {Object} expression - Array literal expression
+   * @returns {Array} Array value
+   */
+  evaluateArrayLiteral(expression) {
+    return this.evaluateList(expression.elements);
+  }
+
+  /**
+   * Evaluates a range (1..10, 0..<n, 1..10 paso 2) into a range value
+   * @param {Object} expression - Range expression
+   * @returns {Object} Range value
+   */
+  evaluateRange(expression) {
+    const start = this.evaluateExpression(expression.start);
+    const end = this.evaluateExpression(expression.end);
+    if (typeof start !== "number" || typeof end !== "number") {
+      throw new Error("Los límites de un rango deben ser números");
+    }
+
+    let step = 1;
+    if (expression.step) {
+      step = this.evaluateExpression(expression.step);
+      if (typeof step !== "number") {
+        throw new Error("El paso de un rango debe ser un número");
+      }
+      if (step === 0) {
+        throw new Error("El paso de un rango no puede ser cero");
+      }
+    }
+
+    return {
+      type: "Range",
+      start,
+      end,
+      inclusive: expression.inclusive,
+      step,
+    };
+  }
+
+  /**
+   * Checks if a value is a range
+   * @param {any} value - Value to check
+   * @returns {boolean} True if it is a range
+   */
+  isRange(value) {
+    return (
+      value !== null && typeof value === "object" && value.type === "Range"
+    );
+  }
+
+  /**
+   * Produces the numbers of a range one by one. Counting down needs a
+   * negative paso; 10..1 is empty
+   * @param {Object} range - Range value
+   * @returns {Generator<number>} Range numbers
+   */
+  *rangeValues(range) {
+    const { start, end, step, inclusive } = range;
+    for (let i = 0; ; i++) {
+      // Multiplying avoids accumulating errors with decimal steps
+      const value = start + i * step;
+      const inside =
+        step > 0
+          ? value < end || (inclusive && value === end)
+          : value > end || (inclusive && value === end);
+      if (!inside) return;
+      yield value;
+    }
+  }
+
+  /**
+   * Calls a method of a range: longitud(), contiene(n) or aArreglo()
+   * @param {Object} range - Range value
+   * @param {string} method - Method name
+   * @param {Array} args - Evaluated arguments
+   * @returns {any} Method result
+   */
+  callRangeMethod(range, method, args) {
+    switch (method) {
+      case "longitud": {
+        this.checkNoArguments(method, args);
+        const span = (range.end - range.start) / range.step;
+        if (span < 0) return 0;
+        return range.inclusive ? Math.floor(span) + 1 : Math.ceil(span);
+      }
+
+      case "contiene": {
+        if (args.length !== 1) {
+          throw new Error(
+            "El método contiene() requiere exactamente un argumento",
+          );
+        }
+        const value = args[0];
+        if (typeof value !== "number") return false;
+        const position = (value - range.start) / range.step;
+        if (!Number.isInteger(position) || position < 0) return false;
+        return range.step > 0
+          ? value < range.end || (range.inclusive && value === range.end)
+          : value > range.end || (range.inclusive && value === range.end);
+      }
 
-      case "tipo":
-        // Return type as Spanish string
-        if (value === null) return "nulo";
-        if (value === undefined) return "indefinido";
-        if (typeof value === "number") return "numero";
-        if (typeof value === "string") return "texto";
-        if (typeof value === "boolean") return "booleano";
-        if (Array.isArray(value)) return "arreglo";
-        if (typeof value === "object" && value.type === "Function")
-          return "funcion";
-        if (typeof value === "object" && value.type === "Instance")
-          return value.className;
-        if (typeof value === "object" && value.type === "Class") return "clase";
-        if (typeof value === "object") return "objeto";
-        return "desconocido";
+      case "aArreglo":
+        this.checkNoArguments(method, args);
+        return [...this.rangeValues(range)];
 
       default:
-        throw new Error(`Función de conversión desconocida: ${name}`);
+        throw new Error(`Los rangos no tienen el método '${method}'`);
     }
   }
 
   /**
-   * Helper to stringify values for texto() function
-   * @param {any} value - Value to stringify
-   * @returns {string} String representation
+   * Writes a range as it would be written in code
+   * @param {Object} range - Range value
+   * @returns {string} Text such as 1..10 or 0..<5 paso 2
    */
-  stringifyForTexto(value) {
-    if (value === null) return "nulo";
-    if (value === undefined) return "indefinido";
-    if (typeof value === "boolean") return value ? "verdadero" : "falso";
-    if (typeof value === "string") return value;
-    if (Array.isArray(value)) {
-      return `[${value.map((v) => this.stringifyForTexto(v)).join(", ")}]`;
+  rangeText(range) {
+    const operator = range.inclusive ? ".." : "..<";
+    const step = range.step === 1 ? "" : ` paso ${range.step}`;
+    return `${range.start}${operator}${range.end}${step}`;
+  }
+
+  /**
+   * Evaluates call arguments or array elements, expanding ...spread ones
+   * @param {Array} nodes - Expressions and Spread nodes
+   * @returns {Array} Values
+   */
+  evaluateList(nodes) {
+    const values = [];
+    let named = null;
+    for (const node of nodes) {
+      if (node.type === "NamedArgument") {
+        // Kept together at the end until the callee's parameters are known
+        named = named || new NamedArguments();
+        if (named.values.has(node.name)) {
+          throw this.locateError(
+            new Error(`El argumento '${node.name}' se pasó dos veces`),
+            node,
+          );
+        }
+        named.values.set(node.name, this.evaluateExpression(node.value));
+        continue;
+      }
+      if (node.type !== "Spread") {
+        values.push(this.evaluateExpression(node));
+        continue;
+      }
+      const spread = this.evaluateExpression(node.argument);
+      if (this.isRange(spread)) {
+        values.push(...this.rangeValues(spread));
+        continue;
+      }
+      if (!Array.isArray(spread)) {
+        throw this.locateError(
+          new Error(
+            `No se puede expandir un valor de tipo ${this.evaluateConversionFunction("tipo", [spread])} con ..., se esperaba un arreglo`,
+          ),
+          node,
+        );
+      }
+      values.push(...spread);
     }
-    return String(value);
+    if (named) values.push(named);
+    return values;
   }
 
   /**
-   * Evaluates a template string with interpolation
-   * @param {Object} expression - Template string expression
-   * @returns {string} Interpolated string result
+   * Places named arguments (nombre: valor) in the position of their
+   * parameters. Skipped parameters are left undefined so their defaults
+   * apply
+   * @param {Object} func - Function being called
+   * @param {Array} args - Evaluated arguments, named ones last
+   * @returns {Array} Positional arguments
    */
-  evaluateTemplateString(expression) {
-    const { parts, expressions } = expression;
-    let result = "";
+  resolveNamedArguments(func, args) {
+    const named = args[args.length - 1];
+    if (!(named instanceof NamedArguments)) return args;
 
-    for (let i = 0; i < parts.length; i++) {
-      result += parts[i];
-      if (i < expressions.length) {
-        const value = this.evaluateExpression(expressions[i]);
-        result += this.stringifySpanish(value);
+    const label = func.name ? `La función '${func.name}'` : "La función";
+    const parameters = func.parameters.filter(
+      (parameter) => parameter.type !== "RestElement",
+    );
+    const resolved = args.slice(0, -1);
+    const positional = resolved.length;
+
+    for (const [name, value] of named.values) {
+      const index = parameters.findIndex(
+        (parameter) =>
+          parameter === name ||
+          (parameter.type === "DefaultParameter" && parameter.target === name),
+      );
+      if (index === -1) {
+        throw new Error(`${label} no tiene un parámetro llamado '${name}'`);
+      }
+      if (index < positional) {
+        throw new Error(`El argumento '${name}' se pasó dos veces`);
       }
+      resolved[index] = value;
     }
 
-    return result;
+    parameters.forEach((parameter, index) => {
+      if (!(index in resolved) && parameter.type !== "DefaultParameter") {
+        throw new Error(
+          `Falta el argumento '${this.patternNames(parameter).join(", ")}'`,
+        );
+      }
+    });
+    return Array.from(resolved);
   }
 
   /**
-   * Evaluates an array literal
-   * @param {Object} expression - Array literal expression
-   * @returns {Array} Array value
+   * Rejects named arguments in calls to built-in functions and methods
+   * @param {string} name - Built-in name
+   * @param {Array} args - Evaluated arguments
    */
-  evaluateArrayLiteral(expression) {
-    const elements = [];
-    for (const element of expression.elements) {
-      elements.push(this.evaluateExpression(element));
+  checkNoNamedArguments(name, args) {
+    if (args[args.length - 1] instanceof NamedArguments) {
+      throw new Error(`${name}() no acepta argumentos con nombre`);
     }
-    return elements;
   }
 
   /**
@@ -1894,6 +3071,7 @@ class Evaluator {
    */
   evaluateArrayAccess(expression) {
     const array = this.evaluateExpression(expression.array);
+    this.checkOptionalLink(expression, array);
     const index = this.evaluateExpression(expression.index);
 
     if (!Array.isArray(array)) {
@@ -1946,6 +3124,10 @@ class Evaluator {
     const object = {};
 
     for (const property of expression.properties) {
+      if (property.type === "Spread") {
+        Object.assign(object, this.spreadProperties(property));
+        continue;
+      }
       const value = this.evaluateExpression(property.value);
       object[property.name] = value;
     }
@@ -1953,6 +3135,52 @@ class Evaluator {
     return object;
   }
 
+  /**
+   * Gets the properties copied by ...objeto in an object literal
+   * @param {Object} spread - Spread node
+   * @returns {Object} Properties to copy
+   */
+  spreadProperties(spread) {
+    const value = this.evaluateExpression(spread.argument);
+    if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+      return value.type === "Instance" ? value.properties : value;
+    }
+    throw this.locateError(
+      new Error(
+        `No se puede expandir un valor de tipo ${this.evaluateConversionFunction("tipo", [value])} en un objeto`,
+      ),
+      spread,
+    );
+  }
+
+  /**
+   * Evaluates an optional chain (a?.b.c), which is nulo as soon as a
+   * ?. link finds nulo
+   * @param {Object} expression - Optional chain expression
+   * @returns {any} Chain value, or null
+   */
+  evaluateOptionalChain(expression) {
+    try {
+      return this.evaluateExpression(expression.expression);
+    } catch (error) {
+      if (error instanceof OptionalChainException) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stops the enclosing optional chain if a ?. link is applied to nulo
+   * @param {Object} expression - Chain link (access or call)
+   * @param {any} value - Value the link is applied to
+   */
+  checkOptionalLink(expression, value) {
+    if (expression.optional && (value === null || value === undefined)) {
+      throw new OptionalChainException();
+    }
+  }
+
   /**
    * Evaluates property access
    * @param {Object} expression - Property access expression
@@ -1960,47 +3188,117 @@ class Evaluator {
    */
   evaluatePropertyAccess(expression) {
     const object = this.evaluateExpression(expression.object);
+    this.checkOptionalLink(expression, object);
+
+    const builtin =
+      Array.isArray(object) ||
+      typeof object === "string" ||
+      typeof object === "number";
+    if (builtin && PROPERTY_METHODS.has(expression.name)) {
+      return this.callBuiltinMethod(object, expression.name, []);
+    }
 
     if (typeof object !== "object" || object === null) {
       throw new Error("Solo se pueden acceder propiedades de objetos");
     }
 
+    // Arrays have no properties of their own besides the methods above
+    if (Array.isArray(object)) return undefined;
+
+    if (this.isRange(object)) {
+      if (PROPERTY_METHODS.has(expression.name)) {
+        return this.callRangeMethod(object, expression.name, []);
+      }
+      throw new Error(`Los rangos no tienen la propiedad '${expression.name}'`);
+    }
+
+    return this.getProperty(object, expression.name);
+  }
+
+  /**
+   * Reads a property of an instance, class (static member) or object
+   * @param {Object} object - Receiver
+   * @param {string} name - Property name
+   * @returns {any} Property value
+   */
+  getProperty(object, name) {
+    if (object.type === "Class") {
+      return this.getStaticMember(object, name);
+    }
+
+    if (object.type === "Enum") {
+      return this.getEnumMember(object, name);
+    }
+
+    if (object.type === "EnumMember") {
+      return this.getEnumMemberProperty(object, name);
+    }
+
     // Handle Instance objects
     if (object.type === "Instance") {
-      // Check if it's a property
-      if (expression.name in object.properties) {
-        return object.properties[expression.name];
-      }
-
-      // Check if it's a method (will be called later via MethodCall)
-      const classObj = object.classObj;
-      for (const method of classObj.methods) {
-        if (method.name === expression.name) {
-          return {
-            type: "BoundMethod",
-            method: method,
-            instance: object,
-          };
-        }
-      }
-
-      // Check parent class methods
-      if (object.parentClass) {
-        for (const method of object.parentClass.methods) {
-          if (method.name === expression.name) {
-            return {
-              type: "BoundMethod",
-              method: method,
-              instance: object,
-            };
-          }
+      // Accessors take precedence over stored properties
+      const accessor = this.findAccessor(object.classObj, name);
+      if (accessor) {
+        if (!accessor.getter) {
+          throw new Error(
+            `La propiedad '${name}' de '${object.className}' solo se puede establecer`,
+          );
         }
+        return this.callFunction(accessor.getter, [], object);
+      }
+
+      // Check if it's a property
+      if (name in object.properties) {
+        return object.properties[name];
+      }
+
+      // Check if it's a method of the class or its ancestors
+      const method = this.findMethod(object.classObj, name);
+      if (method) {
+        return this.bindMethod(method, object);
       }
 
       return undefined;
     }
 
-    return object[expression.name];
+    return object[name];
+  }
+
+  /**
+   * Assigns a property of an instance, class (static field) or object
+   * @param {Object} object - Receiver
+   * @param {string} name - Property name
+   * @param {any} value - Value to assign
+   * @returns {any} Assigned value
+   */
+  setProperty(object, name, value) {
+    if (object.type === "Class") {
+      return this.setStaticField(object, name, value);
+    }
+
+    if (object.type === "Enum" || object.type === "EnumMember") {
+      const enumName = object.type === "Enum" ? object.name : object.enumName;
+      throw new Error(`No se puede modificar la enumeración '${enumName}'`);
+    }
+
+    if (object.type === "Instance") {
+      const accessor = this.findAccessor(object.classObj, name);
+      if (accessor) {
+        if (!accessor.setter) {
+          throw new Error(
+            `La propiedad '${name}' de '${object.className}' es de solo lectura`,
+          );
+        }
+        this.callFunction(accessor.setter, [value], object);
+        return value;
+      }
+
+      object.properties[name] = value;
+      return value;
+    }
+
+    object[name] = value;
+    return value;
   }
 
   /**
@@ -2016,14 +3314,7 @@ class Evaluator {
       throw new Error("Solo se pueden asignar propiedades de objetos");
     }
 
-    // Handle Instance objects
-    if (object.type === "Instance") {
-      object.properties[expression.name] = value;
-      return value;
-    }
-
-    object[expression.name] = value;
-    return value;
+    return this.setProperty(object, expression.name, value);
   }
 
   /**
@@ -2050,6 +3341,14 @@ class Evaluator {
       return this.evaluateExpression(expression.right);
     }
 
+    if (expression.operator === "QUESTION_QUESTION") {
+      // Only nulo (or a missing value) falls back to the right side
+      if (left !== null && left !== undefined) {
+        return left;
+      }
+      return this.evaluateExpression(expression.right);
+    }
+
     throw new Error(`Operador lógico desconocido: ${expression.operator}`);
   }
 
@@ -2115,15 +3414,24 @@ class Evaluator {
       throw new Error("Solo se pueden asignar propiedades de objetos");
     }
 
-    const currentValue = object[expression.name];
+    // este.nombre += valor goes through the same lookup as este.nombre
+    if (expression.object.type === "This") {
+      const newValue = this.performCompoundOperation(
+        this.getThisProperty(expression.name),
+        expression.operator,
+        rightValue,
+      );
+      return this.setThisProperty(expression.name, newValue);
+    }
+
+    const currentValue = this.getProperty(object, expression.name);
     const newValue = this.performCompoundOperation(
       currentValue,
       expression.operator,
       rightValue,
     );
 
-    object[expression.name] = newValue;
-    return newValue;
+    return this.setProperty(object, expression.name, newValue);
   }
 
   /**
@@ -2134,13 +3442,27 @@ class Evaluator {
    * @returns {any} Operation result
    */
   performCompoundOperation(left, operator, right) {
+    // a += b uses the same overloaded method as a + b
+    const overload = this.operatorOverload(
+      left,
+      operator.replace(/_EQUAL$/, ""),
+      right,
+    );
+    if (overload) {
+      return this.callFunction(
+        overload.method,
+        [overload.argument],
+        overload.receiver,
+      );
+    }
+
     switch (operator) {
       case "PLUS_EQUAL":
         if (typeof left === "number" && typeof right === "number") {
           return left + right;
         }
         if (typeof left === "string" || typeof right === "string") {
-          return String(left) + String(right);
+          return this.stringify(left) + this.stringify(right);
         }
         throw new Error("No se pueden sumar valores no numéricos");
 
@@ -2174,6 +3496,21 @@ class Evaluator {
         }
         return left % right;
 
+      case "STAR_STAR_EQUAL":
+        if (typeof left !== "number" || typeof right !== "number") {
+          throw new Error("Solo se pueden elevar números");
+        }
+        return left ** right;
+
+      case "DIV_EQUAL":
+        if (typeof left !== "number" || typeof right !== "number") {
+          throw new Error("Solo se pueden dividir números");
+        }
+        if (right === 0) {
+          throw new Error("División por cero");
+        }
+        return Math.trunc(left / right);
+
       default:
         throw new Error(`Operador compuesto desconocido: ${operator}`);
     }
@@ -2201,7 +3538,9 @@ class Evaluator {
         if (typeof object !== "object" || object === null) {
           throw new Error("Solo se pueden incrementar propiedades de objetos");
         }
-        object[expression.operand.name] = newValue;
+        this.setProperty(object, expression.operand.name, newValue);
+      } else if (expression.operand.type === "ThisPropertyAccess") {
+        this.setThisProperty(expression.operand.property, newValue);
       } else if (expression.operand.type === "ArrayAccess") {
         const array = this.evaluateExpression(expression.operand.array);
         const index = this.evaluateExpression(expression.operand.index);
@@ -2236,7 +3575,9 @@ class Evaluator {
         if (typeof object !== "object" || object === null) {
           throw new Error("Solo se pueden decrementar propiedades de objetos");
         }
-        object[expression.operand.name] = newValue;
+        this.setProperty(object, expression.operand.name, newValue);
+      } else if (expression.operand.type === "ThisPropertyAccess") {
+        this.setThisProperty(expression.operand.property, newValue);
       } else if (expression.operand.type === "ArrayAccess") {
         const array = this.evaluateExpression(expression.operand.array);
         const index = this.evaluateExpression(expression.operand.index);
@@ -2282,7 +3623,9 @@ class Evaluator {
         if (typeof object !== "object" || object === null) {
           throw new Error("Solo se pueden incrementar propiedades de objetos");
         }
-        object[expression.operand.name] = newValue;
+        this.setProperty(object, expression.operand.name, newValue);
+      } else if (expression.operand.type === "ThisPropertyAccess") {
+        this.setThisProperty(expression.operand.property, newValue);
       } else if (expression.operand.type === "ArrayAccess") {
         const array = this.evaluateExpression(expression.operand.array);
         const index = this.evaluateExpression(expression.operand.index);
@@ -2317,7 +3660,9 @@ class Evaluator {
         if (typeof object !== "object" || object === null) {
           throw new Error("Solo se pueden decrementar propiedades de objetos");
         }
-        object[expression.operand.name] = newValue;
+        this.setProperty(object, expression.operand.name, newValue);
+      } else if (expression.operand.type === "ThisPropertyAccess") {
+        this.setThisProperty(expression.operand.property, newValue);
       } else if (expression.operand.type === "ArrayAccess") {
         const array = this.evaluateExpression(expression.operand.array);
         const index = this.evaluateExpression(expression.operand.index);
@@ -2347,6 +3692,9 @@ class Evaluator {
    * @returns {string} String representation
    */
   stringify(value) {
+    const text = this.customText(value);
+    if (text !== null) return text;
+    if (this.isErrorValue(value)) return String(value.properties.mensaje);
     if (value === null) return "null";
     if (value === undefined) return "undefined";
     if (typeof value === "string") return value;
@@ -2362,6 +3710,9 @@ class Evaluator {
    * @returns {string} Spanish string representation
    */
   stringifySpanish(value) {
+    const text = this.customText(value);
+    if (text !== null) return text;
+    if (this.isErrorValue(value)) return String(value.properties.mensaje);
     if (value === null) return "nulo";
     if (value === undefined) return "indefinido";
     if (value === true) return "verdadero";
@@ -2374,28 +3725,180 @@ class Evaluator {
   }
 
   /**
-   * Executes a try-catch statement
+   * Executes a try-catch statement. The first capturar whose class matches
+   * the error handles it; if none does, the error keeps propagating.
+   * The finalmente block always runs, even when the try or catch block
+   * returns, breaks or continues
    * @param {Object} statement - Try-catch statement to execute
    */
   executeTryCatch(statement) {
     try {
-      // Execute the try block
       this.executeBlock(statement.tryBlock);
     } catch (error) {
-      // Check if it's a control flow exception (break/continue)
+      // Control flow (return/break/continue) is not an error
       if (
+        error instanceof ReturnException ||
         error instanceof BreakException ||
         error instanceof ContinueException
       ) {
-        throw error; // Re-throw control flow exceptions
+        throw error;
+      }
+
+      const errorValue = this.errorValueFrom(error);
+      const clause = statement.catchClauses.find((catchClause) =>
+        this.catchClauseMatches(catchClause, errorValue),
+      );
+      if (!clause) {
+        throw error;
       }
 
       // Store the error in the environment for the catch block
-      this.environment.define(statement.errorVariable, error.message);
+      this.environment.define(clause.errorVariable, errorValue);
 
       // Execute the catch block
-      this.executeBlock(statement.catchBlock);
+      this.executeBlock(clause.body);
+    } finally {
+      if (statement.finallyBlock) {
+        this.executeBlock(statement.finallyBlock);
+      }
+    }
+  }
+
+  /**
+   * Checks if a capturar clause handles an error
+   * @param {Object} clause - Catch clause
+   * @param {Object} errorValue - Error instance being handled
+   * @returns {boolean} True if the clause has no class or the error is one
+   */
+  catchClauseMatches(clause, errorValue) {
+    if (clause.errorClass === null) return true;
+
+    const classObj = this.environment.get(clause.errorClass);
+    if (!classObj || classObj.type !== "Class") {
+      throw new Error(`'${clause.errorClass}' no es una clase`);
+    }
+    return this.isInstanceOf(errorValue, classObj);
+  }
+
+  /**
+   * Executes a throw statement (lanzar)
+   * @param {Object} statement - Throw statement to execute
+   */
+  executeThrowStatement(statement) {
+    const value = this.evaluateExpression(statement.value);
+    const line = statement.loc.start.line;
+
+    if (this.isErrorValue(value)) {
+      throw new TryCatchException(value);
+    }
+    if (
+      typeof value === "object" &&
+      value !== null &&
+      value.type === "Instance"
+    ) {
+      throw new Error(
+        `Solo se pueden lanzar textos o instancias de Error, no de '${value.className}'`,
+      );
     }
+
+    // Any other value becomes the message of a new Error
+    throw new TryCatchException(
+      this.createErrorValue(
+        this.stringifyForTexto(value),
+        line,
+        this.captureStack(line),
+      ),
+    );
+  }
+
+  /**
+   * Creates the built-in Error class, base of every error
+   * @returns {Object} Class value
+   */
+  createErrorClass() {
+    return {
+      type: "Class",
+      name: "Error",
+      superclass: null,
+      constructor: {
+        type: "Function",
+        name: "constructor",
+        parameters: ["mensaje"],
+        native: (instance, args) => {
+          instance.properties.mensaje = this.stringifyForTexto(args[0]);
+          return null;
+        },
+      },
+      methods: [],
+      staticMethods: [],
+      staticFields: {},
+      staticConstants: new Set(),
+      getters: [],
+      setters: [],
+      abstract: false,
+      abstractMethods: [],
+      interfaces: [],
+    };
+  }
+
+  /**
+   * Creates an Error instance for errors raised by the interpreter
+   * @param {string} message - Error message
+   * @param {number|null} line - Line where the error happened
+   * @param {Array} stack - Call stack, innermost first
+   * @returns {Object} Error instance with mensaje, tipo, linea and pila
+   */
+  createErrorValue(message, line = null, stack = []) {
+    return {
+      type: "Instance",
+      className: "Error",
+      classObj: this.errorClass,
+      properties: {
+        mensaje: message,
+        tipo: "Error",
+        linea: line,
+        pila: stack,
+      },
+      privateFields: new Map(),
+    };
+  }
+
+  /**
+   * Converts a caught exception into the value bound by capturar
+   * @param {Error} error - Caught exception
+   * @returns {Object} Error instance
+   */
+  errorValueFrom(error) {
+    if (error instanceof TryCatchException) {
+      return error.value;
+    }
+    const line = error.loc ? error.loc.start.line : null;
+    return this.createErrorValue(error.message, line, error.pila || []);
+  }
+
+  /**
+   * Checks if a value is an error object (an instance of Error)
+   * @param {any} value - Value to check
+   * @returns {boolean} True if it is an Error instance
+   */
+  isErrorValue(value) {
+    return this.isInstanceOf(value, this.errorClass);
+  }
+
+  /**
+   * Checks if a value is an instance of a class or of any of its subclasses
+   * @param {any} value - Value to check
+   * @param {Object} classObj - Class to look for
+   * @returns {boolean} True if the class is in the instance's class chain
+   */
+  isInstanceOf(value, classObj) {
+    if (typeof value !== "object" || value === null) return false;
+    if (value.type !== "Instance") return false;
+
+    for (let current = value.classObj; current; current = current.superclass) {
+      if (current === classObj) return true;
+    }
+    return false;
   }
 
   /**
@@ -2408,7 +3911,7 @@ class Evaluator {
     // Try to find a matching case
     for (const caseClause of statement.cases) {
       const testValue = this.evaluateExpression(caseClause.test);
-      if (discriminantValue === testValue) {
+      if (this.isEqual(discriminantValue, testValue)) {
         // Execute the matching case
         for (const stmt of caseClause.consequent) {
           this.execute(stmt);
@@ -2445,26 +3948,41 @@ class Evaluator {
     } while (this.isTruthy(this.evaluateExpression(statement.condition)));
   }
 
+  /**
+   * Gets what para cada goes through: the elements of an array, the
+   * characters of a text, the numbers of a range (one at a time, without
+   * building an array) or the values of an enumeration in declaration order
+   * @param {any} value - Value after en
+   * @returns {Iterable} Values to iterate
+   */
+  iterationValues(value) {
+    if (Array.isArray(value) || typeof value === "string") return value;
+    if (value && value.type === "Enum") return value.members;
+    if (this.isRange(value)) return this.rangeValues(value);
+    throw new Error(
+      "para cada solo puede iterar sobre arreglos, textos, rangos o enumeraciones",
+    );
+  }
+
   /**
    * Executes a para cada (for-each) statement
    * @param {Object} statement - ForEach statement to execute
    */
   executeForEachStatement(statement) {
-    const iterable = this.evaluateExpression(statement.iterable);
-
-    if (!Array.isArray(iterable)) {
-      throw new Error("para cada solo puede iterar sobre arreglos");
-    }
+    const iterable = this.iterationValues(
+      this.evaluateExpression(statement.iterable),
+    );
 
     for (const element of iterable) {
       // Create a new environment for each iteration
       const loopEnv = new Environment(this.environment);
-      loopEnv.define(statement.iterator, element);
-
       const previousEnv = this.environment;
       this.environment = loopEnv;
 
       try {
+        this.bindPattern(statement.iterator, element, (name, part) =>
+          loopEnv.define(name, part),
+        );
         this.executeBlock(statement.body);
       } catch (error) {
         if (error instanceof BreakException) {
@@ -2553,6 +4071,18 @@ class Environment {
     throw new Error(`Variable no definida: ${name}`);
   }
 
+  /**
+   * Checks if a variable is defined here or in an enclosing environment
+   * @param {string} name - Variable name
+   * @returns {boolean} True if it is defined
+   */
+  has(name) {
+    if (name in this.values) {
+      return true;
+    }
+    return this.enclosing !== null && this.enclosing.has(name);
+  }
+
   /**
    * Gets the value of a variable
    * @param {string} name - Variable name
@@ -2599,12 +4129,33 @@ class ContinueException {
 }
 
 /**
- * Exception class for try-catch errors
+ * Exception class that ends an optional chain (a?.b) at a nulo value
+ */
+class OptionalChainException {
+  constructor() {
+    this.type = "optionalChain";
+  }
+}
+
+/**
+ * Named arguments (nombre: valor) of a call, kept after the positional
+ * ones until the callee's parameters are known. Being a class of its own,
+ * no value a program builds can be mistaken for it
  */
-class TryCatchException {
-  constructor(message) {
+class NamedArguments {
+  constructor() {
+    this.values = new Map();
+  }
+}
+
+/**
+ * Exception raised by lanzar, carrying the error value to capturar
+ */
+class TryCatchException extends Error {
+  constructor(value) {
+    super(String(value.properties.mensaje));
     this.type = "try-catch";
-    this.message = message;
+    this.value = value;
   }
 }
 
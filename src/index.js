@@ -15,19 +15,21 @@ const interpreter = new Interpreter();
 /**
  * Main function to interpret code
  * @param {string} code - Source code in Spanish
+ * @param {Object} options - Run options ({ path } of the source file)
  * @returns {Object} Interpretation result
  */
-function interpret(code) {
-  return interpreter.interpret(code);
+function interpret(code, options = {}) {
+  return interpreter.interpret(code, options);
 }
 
 /**
  * Executes code and returns only the output
  * @param {string} code - Source code in Spanish
+ * @param {Object} options - Run options ({ path } of the source file)
  * @returns {Array} List of outputs
  */
-function run(code) {
-  return interpreter.run(code);
+function run(code, options = {}) {
+  return interpreter.run(code, options);
 }
 
 /**
@@ -6,19 +6,36 @@
 const Tokenizer = require("./tokenizer");
 const Parser = require("./parser");
 const Evaluator = require("./evaluator");
+const ModuleLoader = require("./module-loader");
 
 class Interpreter {
-  constructor() {
+  /**
+   * @param {Object} options - Interpreter options
+   * @param {Function} [options.resolveModule] - Finds the code of the
+   *   modules used by importar: (ruta, rutaDelImportador) => { path, source }
+   *   or null. By default modules are read from the file system
+   */
+  constructor(options = {}) {
     this.tokenizer = new Tokenizer();
-    this.evaluator = new Evaluator();
+    this.moduleLoader = new ModuleLoader(options.resolveModule);
+    this.evaluator = new Evaluator(this.moduleLoader);
   }
 
   /**
    * Interprets source code
    * @param {string} source - Source code to interpret
-   * @returns {Object} Interpretation result
+   * @param {Object} options - Run options
+   * @param {string} [options.path] - Path of the source file; relative
+   *   imports are resolved from it
+   * @returns {Object} Interpretation result; on failure, location holds the
+   * span ({ start, end } with line and column) of the faulty code if known
+   * and errors lists every error found (all syntax errors at once)
    */
-  interpret(source) {
+  interpret(source, options = {}) {
+    const path = options.path || null;
+    this.moduleLoader.reset(path);
+    this.evaluator.currentModule = path;
+
     try {
       // 1. Tokenize source code
       const tokens = this.tokenizer.tokenize(source);
@@ -26,6 +43,10 @@ class Interpreter {
       // 2. Parse tokens into AST
       const parser = new Parser(tokens);
       const statements = parser.parse();
+      if (parser.errors.length > 0) {
+        // Nothing runs if the program has syntax errors
+        return this.syntaxErrorResult(parser.errors);
+      }
 
       // 3. Evaluate statements
       const output = this.evaluator.evaluate(statements);
@@ -34,23 +55,67 @@ class Interpreter {
         success: true,
         output: output,
         error: null,
+        location: null,
+        errors: [],
       };
     } catch (error) {
+      // Errors inside an imported module point to that file, not this one
+      let message = error.message;
+      let location = error.loc || null;
+      if (error.module && error.module !== path) {
+        const line = location ? `, línea ${location.start.line}` : "";
+        message = `${message} (en el módulo '${error.module}'${line})`;
+        location = null;
+      }
+
       return {
         success: false,
         output: [],
-        error: error.message,
+        error: message,
+        location,
+        errors: [{ message, location }],
       };
     }
   }
 
+  /**
+   * Builds the failed result for a program with syntax errors
+   * @param {Array} errors - Errors collected by the parser
+   * @returns {Object} Interpretation result listing every error
+   */
+  syntaxErrorResult(errors) {
+    const diagnostics = errors.map((error) => ({
+      message: error.message,
+      location: error.loc || null,
+    }));
+
+    let message = diagnostics[0].message;
+    if (diagnostics.length > 1) {
+      const lines = diagnostics.map(({ message, location }) =>
+        location
+          ? `- ${message} (línea ${location.start.line}, columna ${location.start.column})`
+          : `- ${message}`,
+      );
+      message = `Se encontraron ${diagnostics.length} errores de sintaxis:\n${lines.join("\n")}`;
+    }
+
+    return {
+      success: false,
+      output: [],
+      error: message,
+      location: diagnostics[0].location,
+      errors: diagnostics,
+    };
+  }
+
   /**
    * Interprets source code and returns only the output
    * @param {string} source - Source code to interpret
+   * @param {Object} options - Run options (see interpret)
    * @returns {Array} List of outputs
    */
-  run(source) {
-    const result = this.interpret(source);
+  run(source, options = {}) {
+    const result = this.interpret(source, options);
     return result.output;
   }
 
@@ -66,7 +131,7 @@ class Interpreter {
    * Clears the variable environment
    */
   clearEnvironment() {
-    this.evaluator = new Evaluator();
+    this.evaluator = new Evaluator(this.moduleLoader);
   }
 }
 
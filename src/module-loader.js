@@ -0,0 +1,106 @@
+/**
+ * Module loader for HispanoLang
+ * Resolves, parses and caches the modules used by importar
+ */
+
+const Tokenizer = require("./tokenizer");
+const Parser = require("./parser");
+
+class ModuleLoader {
+  /**
+   * @param {Function|null} resolveModule - Finds a module's code:
+   *   (ruta, rutaDelImportador) => { path, source } or null if not found.
+   *   Defaults to reading files relative to the importing file
+   */
+  constructor(resolveModule = null) {
+    this.resolveModule = resolveModule || this.resolveFromFileSystem;
+    this.reset();
+  }
+
+  /**
+   * Forgets the loaded modules, so every run reads them again
+   * @param {string|null} mainPath - Path of the program being run, if known
+   */
+  reset(mainPath = null) {
+    this.modules = new Map(); // Resolved path -> exports
+    // Paths of the files being executed, in import order
+    this.loading = mainPath ? [mainPath] : [];
+  }
+
+  /**
+   * Loads a module once and returns its exports
+   * @param {string} specifier - Path written in importar
+   * @param {string|null} importer - Path of the importing file, if known
+   * @param {Object} evaluator - Evaluator that runs the module
+   * @returns {Map} Exported names and their values
+   */
+  load(specifier, importer, evaluator) {
+    const resolved = this.resolveModule(specifier, importer);
+    if (!resolved) {
+      throw new Error(`No se encontró el módulo '${specifier}'`);
+    }
+
+    const cached = this.modules.get(resolved.path);
+    if (cached) return cached;
+
+    if (this.loading.includes(resolved.path)) {
+      const cycle = this.loading.slice(this.loading.indexOf(resolved.path));
+      throw new Error(
+        `Importación circular: ${[...cycle, resolved.path].join(" → ")}`,
+      );
+    }
+
+    const statements = this.parse(resolved);
+    this.loading.push(resolved.path);
+    try {
+      const exports = evaluator.runModule(statements, resolved.path);
+      this.modules.set(resolved.path, exports);
+      return exports;
+    } finally {
+      this.loading.pop();
+    }
+  }
+
+  /**
+   * Parses the code of a module
+   * @param {Object} resolved - Module path and source
+   * @returns {Array} Module statements
+   */
+  parse(resolved) {
+    let errors;
+    try {
+      const parser = new Parser(new Tokenizer().tokenize(resolved.source));
+      const statements = parser.parse();
+      if (parser.errors.length === 0) return statements;
+      errors = parser.errors;
+    } catch (error) {
+      errors = [error];
+    }
+    throw new Error(
+      `Error de sintaxis en el módulo '${resolved.path}': ${errors[0].message}`,
+    );
+  }
+
+  /**
+   * Default resolver: reads the file relative to the importing file (or to
+   * the working directory). The .hl extension can be omitted
+   * @param {string} specifier - Path written in importar
+   * @param {string|null} importer - Path of the importing file, if known
+   * @returns {Object|null} Module path and source, or null if not found
+   */
+  resolveFromFileSystem(specifier, importer) {
+    const fs = require("fs");
+    const path = require("path");
+
+    const base = importer ? path.dirname(importer) : process.cwd();
+    let file = path.resolve(base, specifier);
+    if (!path.extname(file)) {
+      file += ".hl";
+    }
+    if (!fs.existsSync(file)) return null;
+
+    return { path: file, source: fs.readFileSync(file, "utf8") };
+  }
+}
+
+module.exports = ModuleLoader;
@@ -3,21 +3,62 @@
  * Converts tokens into an Abstract Syntax Tree (AST)
  */
 
+/**
+ * Contextual keywords, with the tokens that must follow them on the same
+ * line for the word to act as a keyword. Anywhere else they are ordinary
+ * names, so programs can still use them for variables and functions
+ */
+const CONTEXTUAL_KEYWORDS = {
+  lanzar: [
+    "IDENTIFIER",
+    "NUMBER",
+    "STRING",
+    "TEMPLATE_STRING",
+    "TRUE",
+    "FALSE",
+    "NULL",
+    "UNDEFINED",
+    "NUEVO",
+    "ESTE",
+    "SUPER",
+    "FUNCION",
+    "BANG",
+    "LEFT_BRACE",
+  ],
+  finalmente: ["LEFT_BRACE"],
+  estatico: ["IDENTIFIER", "CONSTANTE"],
+  estático: ["IDENTIFIER", "CONSTANTE"],
+  abstracta: ["IDENTIFIER"],
+  abstracto: ["IDENTIFIER"],
+  interfaz: ["IDENTIFIER"],
+  enumeracion: ["IDENTIFIER"],
+  enumeración: ["IDENTIFIER"],
+  importar: ["LEFT_BRACE"],
+  // exportar interfaz / enumeracion start with an identifier
+  exportar: ["VARIABLE", "CONSTANTE", "FUNCION", "CLASE", "IDENTIFIER"],
+};
+
 class Parser {
   constructor(tokens) {
     this.tokens = tokens;
     this.current = 0;
+    this.errors = []; // Syntax errors found while parsing
   }
 
   /**
-   * Parses tokens and returns a list of statements
+   * Parses tokens and returns a list of statements. Syntax errors do not
+   * stop the parser: they are collected in this.errors and the returned
+   * AST only contains the statements that could be parsed
    * @returns {Array} List of statements (AST)
    */
   parse() {
     const statements = [];
 
     while (!this.isAtEnd()) {
-      statements.push(this.declaration());
+      const statement = this.declaration(true);
+      if (statement) {
+        statements.push(statement);
+      }
 
       // Consume semicolon if present between statements
       if (this.match("SEMICOLON")) {
@@ -29,11 +70,21 @@ class Parser {
   }
 
   /**
-   * Parses a declaration
-   * @returns {Object} Parsed declaration
+   * Parses a declaration, recovering from syntax errors
+   * @param {boolean} topLevel - Whether it is at the top level of the file
+   * @returns {Object|null} Parsed declaration, or null if it had errors
    */
-  declaration() {
+  declaration(topLevel = false) {
+    const startIndex = this.current;
     try {
+      if (this.matchKeyword("importar")) {
+        return this.importDeclaration(topLevel);
+      }
+
+      if (this.matchKeyword("exportar")) {
+        return this.exportDeclaration(topLevel);
+      }
+
       if (this.match("VARIABLE")) {
         return this.variableDeclaration();
       }
@@ -50,6 +101,14 @@ class Parser {
         return this.classDeclaration();
       }
 
+      if (this.matchKeyword("interfaz")) {
+        return this.interfaceDeclaration();
+      }
+
+      if (this.matchKeyword("enumeracion", "enumeración")) {
+        return this.enumDeclaration();
+      }
+
       if (this.match("MOSTRAR")) {
         return this.mostrarStatement();
       }
@@ -71,6 +130,15 @@ class Parser {
         if (this.match("CADA")) {
           return this.forEachStatement();
         }
+        const next = this.tokens[this.current + 1];
+        if (
+          this.check("IDENTIFIER") &&
+          next &&
+          next.type === "IDENTIFIER" &&
+          next.lexeme === "desde"
+        ) {
+          return this.countedForStatement();
+        }
         return this.forStatement();
       }
 
@@ -98,11 +166,103 @@ class Parser {
         return this.tryStatement();
       }
 
+      if (this.matchKeyword("lanzar")) {
+        return this.throwStatement();
+      }
+
       return this.expressionStatement();
     } catch (error) {
-      this.synchronize();
-      throw error;
+      if (!error.loc) {
+        error.loc = this.tokenLocation(this.peek());
+      }
+      this.errors.push(error);
+      this.synchronize(startIndex);
+      return null;
+    }
+  }
+
+  /**
+   * Parses an import: importar { a, b } desde "./modulo.hl"
+   * @param {boolean} topLevel - Whether it is at the top level of the file
+   * @returns {Object} Import declaration
+   */
+  importDeclaration(topLevel) {
+    const start = this.previous();
+    if (!topLevel) {
+      throw new Error(
+        "importar solo se puede usar fuera de bloques y funciones",
+      );
+    }
+
+    this.consume("LEFT_BRACE", "Se esperaba { después de importar");
+    const names = [];
+    do {
+      names.push(
+        this.consume("IDENTIFIER", "Se esperaba el nombre a importar").lexeme,
+      );
+    } while (this.match("COMMA"));
+    this.consume(
+      "RIGHT_BRACE",
+      "Se esperaba } después de los nombres a importar",
+    );
+    this.consumeWord(
+      "desde",
+      "Se esperaba desde después de los nombres a importar",
+    );
+    const source = this.consume(
+      "STRING",
+      "Se esperaba la ruta del módulo entre comillas",
+    ).literal;
+
+    return this.finishNode(
+      {
+        type: "ImportDeclaration",
+        names,
+        source,
+      },
+      start,
+    );
+  }
+
+  /**
+   * Parses an exported declaration: exportar funcion, clase, variable...
+   * @param {boolean} topLevel - Whether it is at the top level of the file
+   * @returns {Object} Export declaration
+   */
+  exportDeclaration(topLevel) {
+    const start = this.previous();
+    if (!topLevel) {
+      throw new Error(
+        "exportar solo se puede usar fuera de bloques y funciones",
+      );
+    }
+
+    let declaration;
+    if (this.match("VARIABLE")) {
+      declaration = this.variableDeclaration();
+    } else if (this.match("CONSTANTE")) {
+      declaration = this.constantDeclaration();
+    } else if (this.match("FUNCION")) {
+      declaration = this.functionDeclaration();
+    } else if (this.match("CLASE")) {
+      declaration = this.classDeclaration();
+    } else if (this.matchKeyword("interfaz")) {
+      declaration = this.interfaceDeclaration();
+    } else if (this.matchKeyword("enumeracion", "enumeración")) {
+      declaration = this.enumDeclaration();
+    } else {
+      throw new Error(
+        "Solo se pueden exportar variables, constantes, funciones, clases, interfaces y enumeraciones",
+      );
     }
+
+    return this.finishNode(
+      {
+        type: "ExportDeclaration",
+        declaration,
+      },
+      start,
+    );
   }
 
   /**
@@ -110,6 +270,10 @@ class Parser {
    * @returns {Object} Variable declaration
    */
   variableDeclaration() {
+    const start = this.previous();
+    if (this.check("LEFT_BRACKET") || this.check("LEFT_BRACE")) {
+      return this.destructuringDeclaration(start, false);
+    }
     let name;
     if (this.match("IDENTIFIER")) {
       name = this.previous();
@@ -124,11 +288,14 @@ class Parser {
       initializer = this.expression();
     }
 
-    return {
-      type: "VariableDeclaration",
-      name: name.lexeme,
-      initializer,
-    };
+    return this.finishNode(
+      {
+        type: "VariableDeclaration",
+        name: name.lexeme,
+        initializer,
+      },
+      start,
+    );
   }
 
   /**
@@ -136,6 +303,10 @@ class Parser {
    * @returns {Object} Constant declaration
    */
   constantDeclaration() {
+    const start = this.previous();
+    if (this.check("LEFT_BRACKET") || this.check("LEFT_BRACE")) {
+      return this.destructuringDeclaration(start, true);
+    }
     let name;
     if (this.match("IDENTIFIER")) {
       name = this.previous();
@@ -149,11 +320,40 @@ class Parser {
 
     const initializer = this.expression();
 
-    return {
-      type: "ConstantDeclaration",
-      name: name.lexeme,
-      initializer,
-    };
+    return this.finishNode(
+      {
+        type: "ConstantDeclaration",
+        name: name.lexeme,
+        initializer,
+      },
+      start,
+    );
+  }
+
+  /**
+   * Parses a destructuring declaration: variable [a, b] = par
+   * @param {Object} start - variable or constante token
+   * @param {boolean} constant - Whether the names are constants
+   * @returns {Object} Destructuring declaration
+   */
+  destructuringDeclaration(start, constant) {
+    const pattern = this.bindingPattern();
+    if (!this.match("EQUAL")) {
+      throw new Error(
+        "La desestructuración necesita un valor: usa = después del patrón",
+      );
+    }
+    const initializer = this.expression();
+
+    return this.finishNode(
+      {
+        type: "DestructuringDeclaration",
+        pattern,
+        initializer,
+        constant,
+      },
+      start,
+    );
   }
 
   /**
@@ -161,38 +361,26 @@ class Parser {
    * @returns {Object} Function declaration
    */
   functionDeclaration() {
+    const start = this.previous();
     const name = this.consume("IDENTIFIER", "Expected function name");
     this.consume("LEFT_PAREN", "Expected ( after function name");
 
-    const parameters = [];
-    if (!this.check("RIGHT_PAREN")) {
-      do {
-        if (parameters.length >= 255) {
-          throw new Error("No se pueden tener más de 255 parámetros");
-        }
-        let param;
-        if (this.match("IDENTIFIER")) {
-          param = this.previous();
-        } else if (this.match("AND")) {
-          param = this.previous();
-        } else {
-          throw new Error("Se esperaba un nombre de parámetro");
-        }
-        parameters.push(param.lexeme);
-      } while (this.match("COMMA"));
-    }
+    const parameters = this.parameterList();
 
     this.consume("RIGHT_PAREN", "Expected ) after parameters");
     this.consume("LEFT_BRACE", "Expected { before function body");
     const body = this.block();
     this.consume("RIGHT_BRACE", "Expected } after function body");
 
-    return {
-      type: "FunctionDeclaration",
-      name: name.lexeme,
-      parameters,
-      body,
-    };
+    return this.finishNode(
+      {
+        type: "FunctionDeclaration",
+        name: name.lexeme,
+        parameters,
+        body,
+      },
+      start,
+    );
   }
 
   /**
@@ -200,6 +388,8 @@ class Parser {
    * @returns {Object} Class declaration
    */
   classDeclaration() {
+    const start = this.previous();
+    const abstract = this.matchKeyword("abstracta", "abstracto");
     const name = this.consume("IDENTIFIER", "Se esperaba un nombre de clase");
 
     // Check for inheritance
@@ -209,29 +399,34 @@ class Parser {
       superclass = this.previous().lexeme;
     }
 
+    // Interfaces the class promises to implement
+    const interfaces = [];
+    if (this.matchWord("implementa")) {
+      do {
+        interfaces.push(
+          this.consume("IDENTIFIER", "Se esperaba el nombre de la interfaz")
+            .lexeme,
+        );
+      } while (this.match("COMMA"));
+    }
+
     this.consume("LEFT_BRACE", "Se esperaba { después del nombre de clase");
 
-    // Parse class body (constructor and methods)
+    // Parse class body (constructor, methods and static members)
     let constructor = null;
     const methods = [];
+    const staticMethods = [];
+    const staticFields = [];
+    const getters = [];
+    const setters = [];
+    const abstractMethods = [];
 
     while (!this.check("RIGHT_BRACE") && !this.isAtEnd()) {
       if (this.match("CONSTRUCTOR")) {
+        const memberStart = this.previous();
         // Parse constructor
         this.consume("LEFT_PAREN", "Se esperaba ( después de constructor");
-        const parameters = [];
-        if (!this.check("RIGHT_PAREN")) {
-          do {
-            if (parameters.length >= 255) {
-              throw new Error("No se pueden tener más de 255 parámetros");
-            }
-            const param = this.consume(
-              "IDENTIFIER",
-              "Se esperaba nombre de parámetro",
-            );
-            parameters.push(param.lexeme);
-          } while (this.match("COMMA"));
-        }
+        const parameters = this.parameterList();
         this.consume("RIGHT_PAREN", "Se esperaba ) después de parámetros");
         this.consume(
           "LEFT_BRACE",
@@ -243,43 +438,71 @@ class Parser {
           "Se esperaba } después del cuerpo del constructor",
         );
 
-        constructor = {
-          parameters,
-          body,
-        };
-      } else if (this.match("IDENTIFIER")) {
-        // Parse method
-        const methodName = this.previous().lexeme;
-        this.consume(
-          "LEFT_PAREN",
-          "Se esperaba ( después del nombre del método",
+        constructor = this.finishNode({ parameters, body }, memberStart);
+      } else if (this.matchKeyword("estatico", "estático")) {
+        const memberStart = this.previous();
+        const constant = this.match("CONSTANTE");
+        const memberName = this.consume(
+          "IDENTIFIER",
+          "Se esperaba el nombre del miembro estático",
         );
-        const parameters = [];
-        if (!this.check("RIGHT_PAREN")) {
-          do {
-            if (parameters.length >= 255) {
-              throw new Error("No se pueden tener más de 255 parámetros");
-            }
-            const param = this.consume(
-              "IDENTIFIER",
-              "Se esperaba nombre de parámetro",
-            );
-            parameters.push(param.lexeme);
-          } while (this.match("COMMA"));
+        if (!constant && this.check("LEFT_PAREN")) {
+          staticMethods.push(this.classMethod(memberName.lexeme, memberStart));
+        } else {
+          // Static field: estatico total = 0
+          let initializer = null;
+          if (this.match("EQUAL")) {
+            initializer = this.expression();
+          } else if (constant) {
+            throw new Error("Las constantes deben ser inicializadas");
+          }
+          staticFields.push(
+            this.finishNode(
+              { name: memberName.lexeme, initializer, constant },
+              memberStart,
+            ),
+          );
         }
-        this.consume("RIGHT_PAREN", "Se esperaba ) después de parámetros");
-        this.consume("LEFT_BRACE", "Se esperaba { antes del cuerpo del método");
-        const body = this.block();
-        this.consume(
-          "RIGHT_BRACE",
-          "Se esperaba } después del cuerpo del método",
+      } else if (this.matchKeyword("abstracto", "abstracta")) {
+        // Abstract method: only a signature, subclasses provide the body
+        const memberStart = this.previous();
+        const methodName = this.consume(
+          "IDENTIFIER",
+          "Se esperaba el nombre del método abstracto",
         );
-
-        methods.push({
-          name: methodName,
-          parameters,
-          body,
-        });
+        if (!abstract) {
+          throw new Error(
+            `El método abstracto '${methodName.lexeme}' solo puede declararse en una clase abstracta`,
+          );
+        }
+        abstractMethods.push(this.methodSignature(methodName, memberStart));
+      } else if (this.match("IDENTIFIER", "PRIVATE_NAME")) {
+        const memberStart = this.previous();
+        if (this.isAccessorStart(memberStart)) {
+          // Accessor: obtener area() { ... } / establecer edad(v) { ... }
+          const accessorName = this.consume(
+            "IDENTIFIER",
+            "Se esperaba el nombre de la propiedad",
+          );
+          const accessor = this.classMethod(accessorName.lexeme, memberStart);
+          if (memberStart.lexeme === "obtener") {
+            if (accessor.parameters.length !== 0) {
+              throw new Error(
+                `El método obtener '${accessorName.lexeme}' no debe recibir parámetros`,
+              );
+            }
+            getters.push(accessor);
+          } else {
+            if (accessor.parameters.length !== 1) {
+              throw new Error(
+                `El método establecer '${accessorName.lexeme}' debe recibir exactamente un parámetro`,
+              );
+            }
+            setters.push(accessor);
+          }
+        } else {
+          methods.push(this.classMethod(memberStart.lexeme, memberStart));
+        }
       } else {
         throw new Error(
           "Se esperaba constructor o método en el cuerpo de la clase",
@@ -289,13 +512,309 @@ class Parser {
 
     this.consume("RIGHT_BRACE", "Se esperaba } después del cuerpo de la clase");
 
-    return {
-      type: "ClassDeclaration",
-      name: name.lexeme,
-      superclass,
-      constructor,
-      methods,
-    };
+    return this.finishNode(
+      {
+        type: "ClassDeclaration",
+        name: name.lexeme,
+        abstract,
+        superclass,
+        interfaces,
+        constructor,
+        methods,
+        staticMethods,
+        staticFields,
+        getters,
+        setters,
+        abstractMethods,
+      },
+      start,
+    );
+  }
+
+  /**
+   * Parses an interface declaration: a named list of method signatures
+   * @returns {Object} Interface declaration
+   */
+  interfaceDeclaration() {
+    const start = this.previous();
+    const name = this.consume(
+      "IDENTIFIER",
+      "Se esperaba un nombre de interfaz",
+    );
+
+    // An interface can extend other interfaces
+    const parents = [];
+    if (this.match("EXTIENDE")) {
+      do {
+        parents.push(
+          this.consume("IDENTIFIER", "Se esperaba el nombre de la interfaz")
+            .lexeme,
+        );
+      } while (this.match("COMMA"));
+    }
+
+    this.consume("LEFT_BRACE", "Se esperaba { después del nombre de interfaz");
+
+    const methods = [];
+    while (!this.check("RIGHT_BRACE") && !this.isAtEnd()) {
+      const methodName = this.consume(
+        "IDENTIFIER",
+        "Se esperaba la firma de un método en la interfaz",
+      );
+      methods.push(this.methodSignature(methodName, methodName));
+    }
+
+    this.consume(
+      "RIGHT_BRACE",
+      "Se esperaba } después del cuerpo de la interfaz",
+    );
+
+    return this.finishNode(
+      {
+        type: "InterfaceDeclaration",
+        name: name.lexeme,
+        parents,
+        methods,
+      },
+      start,
+    );
+  }
+
+  /**
+   * Parses an enumeration: enumeracion Color { ROJO, VERDE = "#0f0" }
+   * @returns {Object} Enum declaration
+   */
+  enumDeclaration() {
+    const start = this.previous();
+    const name = this.consume(
+      "IDENTIFIER",
+      "Se esperaba un nombre de enumeración",
+    );
+    this.consume(
+      "LEFT_BRACE",
+      "Se esperaba { después del nombre de la enumeración",
+    );
+
+    const members = [];
+    while (!this.check("RIGHT_BRACE") && !this.isAtEnd()) {
+      const member = this.consume(
+        "IDENTIFIER",
+        "Se esperaba el nombre de un valor de la enumeración",
+      );
+      if (members.some((m) => m.name === member.lexeme)) {
+        throw new Error(
+          `El valor '${member.lexeme}' está repetido en la enumeración '${name.lexeme}'`,
+        );
+      }
+      // Optional associated value: ROJO = "#f00"
+      const value = this.match("EQUAL") ? this.expression() : null;
+      members.push(this.finishNode({ name: member.lexeme, value }, member));
+
+      if (!this.match("COMMA")) break;
+    }
+
+    this.consume(
+      "RIGHT_BRACE",
+      "Se esperaba } después de los valores de la enumeración",
+    );
+    if (members.length === 0) {
+      throw new Error(
+        `La enumeración '${name.lexeme}' debe tener al menos un valor`,
+      );
+    }
+
+    return this.finishNode(
+      {
+        type: "EnumDeclaration",
+        name: name.lexeme,
+        members,
+      },
+      start,
+    );
+  }
+
+  /**
+   * Parses a method signature without body (abstract and interface methods)
+   * @param {Object} name - Method name token (already consumed)
+   * @param {Object} start - First token of the signature
+   * @returns {Object} Signature node with name and parameters
+   */
+  methodSignature(name, start) {
+    const parameters = this.methodParameters();
+    if (this.check("LEFT_BRACE")) {
+      throw new Error(
+        `El método '${name.lexeme}' es solo una firma y no puede tener cuerpo`,
+      );
+    }
+    return this.finishNode({ name: name.lexeme, parameters }, start);
+  }
+
+  /**
+   * Checks whether a class member is an accessor (obtener/establecer nombre()).
+   * Both words are contextual, so `obtener()` is still a regular method.
+   * @param {Object} token - First token of the member
+   * @returns {boolean} True if the member is an accessor
+   */
+  isAccessorStart(token) {
+    return (
+      (token.lexeme === "obtener" || token.lexeme === "establecer") &&
+      this.check("IDENTIFIER")
+    );
+  }
+
+  /**
+   * Parses the parameters and body of a class method
+   * @param {string} name - Method name (already consumed)
+   * @param {Object} start - First token of the method
+   * @returns {Object} Method node
+   */
+  classMethod(name, start) {
+    const parameters = this.methodParameters();
+    this.consume("LEFT_BRACE", "Se esperaba { antes del cuerpo del método");
+    const body = this.block();
+    this.consume("RIGHT_BRACE", "Se esperaba } después del cuerpo del método");
+
+    return this.finishNode({ name, parameters, body }, start);
+  }
+
+  /**
+   * Parses the parenthesized parameter list of a method
+   * @returns {Array<string>} Parameter names
+   */
+  methodParameters() {
+    this.consume("LEFT_PAREN", "Se esperaba ( después del nombre del método");
+    const parameters = this.parameterList();
+    this.consume("RIGHT_PAREN", "Se esperaba ) después de parámetros");
+    return parameters;
+  }
+
+  /**
+   * Parses a comma-separated parameter list, up to (not including) the ).
+   * Parameters can have a default value (saludo = "Hola") and the last
+   * one can be a rest parameter: ...resto
+   * @returns {Array<string|Object>} Parameter names or destructuring patterns
+   */
+  parameterList() {
+    const parameters = [];
+    if (!this.check("RIGHT_PAREN")) {
+      do {
+        if (parameters.length >= 255) {
+          throw new Error("No se pueden tener más de 255 parámetros");
+        }
+        if (this.check("ELLIPSIS")) {
+          parameters.push(this.restElement("parámetro"));
+          break;
+        }
+        const parameterStart = this.peek();
+        const target = this.bindingTarget("Se esperaba un nombre de parámetro");
+        if (this.match("EQUAL")) {
+          // Default value, evaluated at call time when the argument is missing
+          parameters.push(
+            this.finishNode(
+              {
+                type: "DefaultParameter",
+                target,
+                defaultValue: this.expression(),
+              },
+              parameterStart,
+            ),
+          );
+        } else {
+          parameters.push(target);
+        }
+      } while (this.match("COMMA"));
+    }
+    return parameters;
+  }
+
+  /**
+   * Parses a rest element (...nombre), which must be the last one
+   * @param {string} kind - What is being collected, for error messages
+   * @param {boolean} nameOnly - Whether the target must be a plain name
+   * @returns {Object} RestElement node
+   */
+  restElement(kind, nameOnly = false) {
+    const start = this.advance();
+    const target = nameOnly
+      ? this.consume("IDENTIFIER", "Se esperaba un nombre después de ...")
+          .lexeme
+      : this.bindingTarget("Se esperaba un nombre después de ...");
+    if (this.check("COMMA")) {
+      throw new Error(`El ${kind} con ... debe ser el último`);
+    }
+    return this.finishNode({ type: "RestElement", target }, start);
+  }
+
+  /**
+   * Parses a name or a destructuring pattern: x, [a, b] or { nombre, edad }
+   * @param {string} message - Error message when no name is found
+   * @returns {string|Object} Name or pattern
+   */
+  bindingTarget(message) {
+    if (this.check("LEFT_BRACKET") || this.check("LEFT_BRACE")) {
+      return this.bindingPattern();
+    }
+    if (this.match("IDENTIFIER", "AND")) {
+      return this.previous().lexeme;
+    }
+    throw new Error(message);
+  }
+
+  /**
+   * Parses a destructuring pattern. Array patterns take elements by
+   * position (an empty slot skips one); object patterns take properties
+   * by name, optionally renamed with clave: destino. Any target can have
+   * a default value used when the element or property is missing
+   * @returns {Object} ArrayPattern or ObjectPattern
+   */
+  bindingPattern() {
+    const start = this.advance();
+    if (start.type === "LEFT_BRACKET") {
+      const elements = [];
+      while (!this.check("RIGHT_BRACKET") && !this.isAtEnd()) {
+        if (this.check("COMMA")) {
+          elements.push(null);
+        } else if (this.check("ELLIPSIS")) {
+          elements.push(this.restElement("elemento"));
+        } else {
+          const target = this.bindingTarget(
+            "Se esperaba un nombre en el patrón",
+          );
+          elements.push({ target, defaultValue: this.patternDefault() });
+        }
+        if (!this.match("COMMA")) break;
+      }
+      this.consume("RIGHT_BRACKET", "Se esperaba ] al final del patrón");
+      return this.finishNode({ type: "ArrayPattern", elements }, start);
+    }
+
+    const properties = [];
+    if (!this.check("RIGHT_BRACE")) {
+      do {
+        if (this.check("ELLIPSIS")) {
+          properties.push(this.restElement("elemento", true));
+          break;
+        }
+        const key = this.consume(
+          "IDENTIFIER",
+          "Se esperaba un nombre de propiedad en el patrón",
+        ).lexeme;
+        const target = this.match("COLON")
+          ? this.bindingTarget("Se esperaba un nombre después de :")
+          : key;
+        properties.push({ key, target, defaultValue: this.patternDefault() });
+      } while (this.match("COMMA") && !this.check("RIGHT_BRACE"));
+    }
+    this.consume("RIGHT_BRACE", "Se esperaba } al final del patrón");
+    return this.finishNode({ type: "ObjectPattern", properties }, start);
+  }
+
+  /**
+   * Parses the optional = default of a pattern target
+   * @returns {Object|null} Default value expression
+   */
+  patternDefault() {
+    return this.match("EQUAL") ? this.expression() : null;
   }
 
   /**
@@ -303,12 +822,16 @@ class Parser {
    * @returns {Object} Show statement
    */
   mostrarStatement() {
+    const start = this.previous();
     const value = this.expression();
 
-    return {
-      type: "MostrarStatement",
-      expression: value,
-    };
+    return this.finishNode(
+      {
+        type: "MostrarStatement",
+        expression: value,
+      },
+      start,
+    );
   }
 
   /**
@@ -316,6 +839,7 @@ class Parser {
    * @returns {Object} Read statement
    */
   leerStatement() {
+    const start = this.previous();
     // Parse the variable name to store the input
     const variableName = this.consume(
       "IDENTIFIER",
@@ -328,11 +852,14 @@ class Parser {
       prompt = this.previous().literal;
     }
 
-    return {
-      type: "LeerStatement",
-      variable: variableName.lexeme,
-      prompt: prompt,
-    };
+    return this.finishNode(
+      {
+        type: "LeerStatement",
+        variable: variableName.lexeme,
+        prompt: prompt,
+      },
+      start,
+    );
   }
 
   /**
@@ -340,6 +867,7 @@ class Parser {
    * @returns {Object} If statement
    */
   ifStatement() {
+    const start = this.previous();
     const condition = this.expression();
     this.consume("LEFT_BRACE", "Expected { after condition");
     const thenBranch = this.block();
@@ -357,12 +885,15 @@ class Parser {
       }
     }
 
-    return {
-      type: "IfStatement",
-      condition,
-      thenBranch,
-      elseBranch,
-    };
+    return this.finishNode(
+      {
+        type: "IfStatement",
+        condition,
+        thenBranch,
+        elseBranch,
+      },
+      start,
+    );
   }
 
   /**
@@ -370,16 +901,20 @@ class Parser {
    * @returns {Object} While statement
    */
   whileStatement() {
+    const start = this.previous();
     const condition = this.expression();
     this.consume("LEFT_BRACE", "Expected { after condition");
     const body = this.block();
     this.consume("RIGHT_BRACE", "Expected } after block");
 
-    return {
-      type: "WhileStatement",
-      condition,
-      body,
-    };
+    return this.finishNode(
+      {
+        type: "WhileStatement",
+        condition,
+        body,
+      },
+      start,
+    );
   }
 
   /**
@@ -387,6 +922,7 @@ class Parser {
    * @returns {Object} For statement
    */
   forStatement() {
+    const start = this.previous();
     this.consume("LEFT_PAREN", "Expected ( after para");
 
     // Initializer (optional)
@@ -422,13 +958,16 @@ class Parser {
     const body = this.block();
     this.consume("RIGHT_BRACE", "Expected } after block");
 
-    return {
-      type: "ForStatement",
-      initializer,
-      condition,
-      increment,
-      body,
-    };
+    return this.finishNode(
+      {
+        type: "ForStatement",
+        initializer,
+        condition,
+        increment,
+        body,
+      },
+      start,
+    );
   }
 
   /**
@@ -442,11 +981,14 @@ class Parser {
       value = this.expression();
     }
 
-    return {
-      type: "ReturnStatement",
+    return this.finishNode(
+      {
+        type: "ReturnStatement",
+        keyword,
+        value,
+      },
       keyword,
-      value,
-    };
+    );
   }
 
   /**
@@ -455,10 +997,13 @@ class Parser {
    */
   breakStatement() {
     const keyword = this.previous();
-    return {
-      type: "BreakStatement",
+    return this.finishNode(
+      {
+        type: "BreakStatement",
+        keyword,
+      },
       keyword,
-    };
+    );
   }
 
   /**
@@ -467,10 +1012,13 @@ class Parser {
    */
   continueStatement() {
     const keyword = this.previous();
-    return {
-      type: "ContinueStatement",
+    return this.finishNode(
+      {
+        type: "ContinueStatement",
+        keyword,
+      },
       keyword,
-    };
+    );
   }
 
   /**
@@ -481,7 +1029,8 @@ class Parser {
     const statements = [];
 
     while (!this.check("RIGHT_BRACE") && !this.isAtEnd()) {
-      statements.push(this.declaration());
+      const statement = this.declaration();
+      if (statement) statements.push(statement);
     }
 
     return statements;
@@ -492,11 +1041,50 @@ class Parser {
    * @returns {Object} Expression statement
    */
   expressionStatement() {
-    const expr = this.expression();
-    return {
-      type: "ExpressionStatement",
-      expression: expr,
-    };
+    const start = this.peek();
+    const expr = this.destructuringAssignment() || this.expression();
+    return this.finishNode(
+      {
+        type: "ExpressionStatement",
+        expression: expr,
+      },
+      start,
+    );
+  }
+
+  /**
+   * Parses a destructuring assignment such as [a, b] = [b, a]. A statement
+   * that starts with [ or { is only a pattern if it is followed by =;
+   * otherwise nothing is consumed and it is parsed as an expression
+   * @returns {Object|null} Destructuring assignment, or null
+   */
+  destructuringAssignment() {
+    if (!this.check("LEFT_BRACKET") && !this.check("LEFT_BRACE")) return null;
+
+    const start = this.peek();
+    const saved = this.current;
+    const savedErrors = this.errors.length;
+    let pattern = null;
+    try {
+      pattern = this.bindingPattern();
+    } catch {
+      pattern = null;
+    }
+    if (!pattern || !this.match("EQUAL")) {
+      this.current = saved;
+      this.errors.length = savedErrors;
+      return null;
+    }
+
+    const value = this.expression();
+    return this.finishNode(
+      {
+        type: "DestructuringAssign",
+        pattern,
+        value,
+      },
+      start,
+    );
   }
 
   /**
@@ -526,45 +1114,57 @@ class Parser {
    * @returns {Object} Parsed assignment
    */
   assignment() {
-    const expr = this.logicalOr();
+    const expr = this.conditional();
 
     if (this.match("EQUAL")) {
       const equals = this.previous();
-      const value = this.logicalOr();
+      const value = this.conditional();
 
       if (expr.type === "Variable") {
         const name = expr.name;
-        return {
-          type: "Assign",
-          name,
-          value,
-        };
+        return this.finishNode(
+          {
+            type: "Assign",
+            name,
+            value,
+          },
+          expr.loc.start,
+        );
       }
 
       if (expr.type === "ArrayAccess") {
-        return {
-          type: "ArrayAssign",
-          array: expr.array,
-          index: expr.index,
-          value,
-        };
+        return this.finishNode(
+          {
+            type: "ArrayAssign",
+            array: expr.array,
+            index: expr.index,
+            value,
+          },
+          expr.loc.start,
+        );
       }
 
       if (expr.type === "PropertyAccess") {
-        return {
-          type: "PropertyAssign",
-          object: expr.object,
-          name: expr.name,
-          value,
-        };
+        return this.finishNode(
+          {
+            type: "PropertyAssign",
+            object: expr.object,
+            name: expr.name,
+            value,
+          },
+          expr.loc.start,
+        );
       }
 
       if (expr.type === "ThisPropertyAccess") {
-        return {
-          type: "ThisPropertyAssign",
-          property: expr.property,
-          value,
-        };
+        return this.finishNode(
+          {
+            type: "ThisPropertyAssign",
+            property: expr.property,
+            value,
+          },
+          expr.loc.start,
+        );
       }
 
       throw new Error("Objetivo de asignación inválido");
@@ -578,39 +1178,63 @@ class Parser {
         "STAR_EQUAL",
         "SLASH_EQUAL",
         "PERCENT_EQUAL",
+        "STAR_STAR_EQUAL",
+        "DIV_EQUAL",
       )
     ) {
       const operator = this.previous();
-      const value = this.logicalOr();
+      const value = this.conditional();
 
       if (expr.type === "Variable") {
         const name = expr.name;
-        return {
-          type: "CompoundAssign",
-          name,
-          operator: operator.type,
-          value,
-        };
+        return this.finishNode(
+          {
+            type: "CompoundAssign",
+            name,
+            operator: operator.type,
+            value,
+          },
+          expr.loc.start,
+        );
       }
 
       if (expr.type === "ArrayAccess") {
-        return {
-          type: "CompoundArrayAssign",
-          array: expr.array,
-          index: expr.index,
-          operator: operator.type,
-          value,
-        };
+        return this.finishNode(
+          {
+            type: "CompoundArrayAssign",
+            array: expr.array,
+            index: expr.index,
+            operator: operator.type,
+            value,
+          },
+          expr.loc.start,
+        );
       }
 
       if (expr.type === "PropertyAccess") {
-        return {
-          type: "CompoundPropertyAssign",
-          object: expr.object,
-          name: expr.name,
-          operator: operator.type,
-          value,
-        };
+        return this.finishNode(
+          {
+            type: "CompoundPropertyAssign",
+            object: expr.object,
+            name: expr.name,
+            operator: operator.type,
+            value,
+          },
+          expr.loc.start,
+        );
+      }
+
+      if (expr.type === "ThisPropertyAccess") {
+        return this.finishNode(
+          {
+            type: "CompoundPropertyAssign",
+            object: { type: "This", loc: expr.loc },
+            name: expr.property,
+            operator: operator.type,
+            value,
+          },
+          expr.loc.start,
+        );
       }
 
       throw new Error("Objetivo de asignación compuesta inválido");
@@ -629,12 +1253,15 @@ class Parser {
     while (this.match("EQUAL_EQUAL", "BANG_EQUAL")) {
       const operator = this.previous();
       const right = this.comparison();
-      expr = {
-        type: "Binary",
-        left: expr,
-        operator: operator.type,
-        right,
-      };
+      expr = this.finishNode(
+        {
+          type: "Binary",
+          left: expr,
+          operator: operator.type,
+          right,
+        },
+        expr.loc.start,
+      );
     }
 
     return expr;
@@ -650,17 +1277,96 @@ class Parser {
     while (this.match("AND")) {
       const operator = this.previous();
       const right = this.equality();
-      expr = {
-        type: "Logical",
-        left: expr,
-        operator: operator.type,
-        right,
-      };
+      expr = this.finishNode(
+        {
+          type: "Logical",
+          left: expr,
+          operator: operator.type,
+          right,
+        },
+        expr.loc.start,
+      );
+    }
+
+    return expr;
+  }
+
+  /**
+   * Parses a conditional expression: condicion ? siVerdadero : siFalso.
+   * It groups to the right, so a ? b : c ? d : e chains choices
+   * @returns {Object} Conditional expression
+   */
+  conditional() {
+    const condition = this.nullish();
+    if (!this.match("QUESTION")) return condition;
+
+    const consequent = this.expression();
+    this.consume("COLON", "Se esperaba : en la expresión condicional");
+    const alternate = this.conditional();
+
+    return this.finishNode(
+      {
+        type: "Conditional",
+        condition,
+        consequent,
+        alternate,
+      },
+      condition.loc.start,
+    );
+  }
+
+  /**
+   * Parses the nullish default operator: valor ?? porDefecto
+   * @returns {Object} Parsed expression
+   */
+  nullish() {
+    let expr = this.logicalOr();
+
+    while (this.match("QUESTION_QUESTION")) {
+      const operator = this.previous();
+      const right = this.logicalOr();
+      expr = this.finishNode(
+        {
+          type: "Logical",
+          left: expr,
+          operator: operator.type,
+          right,
+        },
+        expr.loc.start,
+      );
     }
 
     return expr;
   }
 
+  /**
+   * Parses a range: 1..10 includes the end, 0..<n excludes it, and
+   * an optional paso sets the step (1..10 paso 2)
+   * @returns {Object} Parsed expression
+   */
+  range() {
+    const start = this.term();
+    if (!this.match("DOT_DOT", "DOT_DOT_LESS")) return start;
+
+    const inclusive = this.previous().type === "DOT_DOT";
+    const end = this.term();
+    // Only a paso on the same line is the step; on the next line it is
+    // a new statement that uses paso as a name
+    const sameLine = this.peek().line === this.previous().endLine;
+    const step = sameLine && this.matchWord("paso") ? this.term() : null;
+
+    return this.finishNode(
+      {
+        type: "Range",
+        start,
+        end,
+        inclusive,
+        step,
+      },
+      start.loc.start,
+    );
+  }
+
   /**
    * Parses a logical OR expression
    * @returns {Object} Logical OR expression
@@ -671,12 +1377,15 @@ class Parser {
     while (this.match("OR")) {
       const operator = this.previous();
       const right = this.logicalAnd();
-      expr = {
-        type: "Logical",
-        left: expr,
-        operator: operator.type,
-        right,
-      };
+      expr = this.finishNode(
+        {
+          type: "Logical",
+          left: expr,
+          operator: operator.type,
+          right,
+        },
+        expr.loc.start,
+      );
     }
 
     return expr;
@@ -687,17 +1396,20 @@ class Parser {
    * @returns {Object} Comparison expression
    */
   comparison() {
-    let expr = this.term();
+    let expr = this.range();
 
     while (this.match("GREATER", "GREATER_EQUAL", "LESS", "LESS_EQUAL")) {
       const operator = this.previous();
-      const right = this.term();
-      expr = {
-        type: "Binary",
-        left: expr,
-        operator: operator.type,
-        right,
-      };
+      const right = this.range();
+      expr = this.finishNode(
+        {
+          type: "Binary",
+          left: expr,
+          operator: operator.type,
+          right,
+        },
+        expr.loc.start,
+      );
     }
 
     return expr;
@@ -713,12 +1425,15 @@ class Parser {
     while (this.match("MINUS", "PLUS")) {
       const operator = this.previous();
       const right = this.factor();
-      expr = {
-        type: "Binary",
-        left: expr,
-        operator: operator.type,
-        right,
-      };
+      expr = this.finishNode(
+        {
+          type: "Binary",
+          left: expr,
+          operator: operator.type,
+          right,
+        },
+        expr.loc.start,
+      );
     }
 
     return expr;
@@ -731,15 +1446,18 @@ class Parser {
   factor() {
     let expr = this.unary();
 
-    while (this.match("SLASH", "STAR", "PERCENT")) {
+    while (this.match("SLASH", "STAR", "PERCENT", "DIV")) {
       const operator = this.previous();
       const right = this.unary();
-      expr = {
-        type: "Binary",
-        left: expr,
-        operator: operator.type,
-        right,
-      };
+      expr = this.finishNode(
+        {
+          type: "Binary",
+          left: expr,
+          operator: operator.type,
+          right,
+        },
+        expr.loc.start,
+      );
     }
 
     return expr;
@@ -754,24 +1472,55 @@ class Parser {
     if (this.match("PLUS_PLUS", "MINUS_MINUS")) {
       const operator = this.previous();
       const right = this.unary();
-      return {
-        type: "Prefix",
-        operator: operator.type,
-        operand: right,
-      };
+      return this.finishNode(
+        {
+          type: "Prefix",
+          operator: operator.type,
+          operand: right,
+        },
+        operator,
+      );
     }
 
     if (this.match("BANG", "MINUS")) {
       const operator = this.previous();
       const right = this.unary();
-      return {
-        type: "Unary",
-        operator: operator.type,
-        right,
-      };
+      return this.finishNode(
+        {
+          type: "Unary",
+          operator: operator.type,
+          right,
+        },
+        operator,
+      );
+    }
+
+    return this.power();
+  }
+
+  /**
+   * Parses a power (a ** b). It binds tighter than unary minus, so
+   * -2 ** 2 is -4, and groups to the right: 2 ** 3 ** 2 is 2 ** 9
+   * @returns {Object} Parsed expression
+   */
+  power() {
+    const base = this.postfix();
+
+    if (this.match("STAR_STAR")) {
+      const operator = this.previous();
+      const exponent = this.unary();
+      return this.finishNode(
+        {
+          type: "Binary",
+          left: base,
+          operator: operator.type,
+          right: exponent,
+        },
+        base.loc.start,
+      );
     }
 
-    return this.postfix();
+    return base;
   }
 
   /**
@@ -783,11 +1532,14 @@ class Parser {
 
     while (this.match("PLUS_PLUS", "MINUS_MINUS")) {
       const operator = this.previous();
-      expr = {
-        type: "Postfix",
-        operator: operator.type,
-        operand: expr,
-      };
+      expr = this.finishNode(
+        {
+          type: "Postfix",
+          operator: operator.type,
+          operand: expr,
+        },
+        expr.loc.start,
+      );
     }
 
     return expr;
@@ -799,51 +1551,92 @@ class Parser {
    */
   call() {
     let expr = this.primary();
+    let optional = false;
 
     while (true) {
-      if (this.match("LEFT_BRACKET")) {
+      // A [ on a new line starts a statement such as [a, b] = [b, a]
+      // instead of indexing the previous line
+      if (
+        this.check("LEFT_BRACKET") &&
+        this.peek().line === this.previous().endLine
+      ) {
+        this.advance();
         expr = this.finishArrayAccess(expr);
       } else if (this.match("DOT")) {
         expr = this.finishPropertyAccess(expr);
+      } else if (this.match("QUESTION_DOT")) {
+        // a?.b, a?.[i] and a?.(x) give nulo when a is nulo
+        if (this.match("LEFT_BRACKET")) {
+          expr = this.finishArrayAccess(expr);
+          expr.optional = true;
+        } else if (this.match("LEFT_PAREN")) {
+          if (expr.type === "PropertyAccess") {
+            // obj.metodo?.(x) is a method call that is skipped when the
+            // method does not exist
+            const args = this.argumentList();
+            this.consume("RIGHT_PAREN", "Expected ) after method arguments");
+            expr = this.finishNode(
+              {
+                type: "MethodCall",
+                object: expr.object,
+                method: expr.name,
+                arguments: args,
+                optional: expr.optional === true,
+                optionalCall: true,
+              },
+              expr.loc.start,
+            );
+          } else {
+            expr = this.finishCall(expr);
+            expr.optional = true;
+          }
+        } else {
+          expr = this.finishPropertyAccess(expr);
+          expr.optional = true;
+        }
+        optional = true;
       } else if (this.match("LEFT_PAREN")) {
         // Handle method/function calls on PropertyAccess or ThisPropertyAccess
         if (expr.type === "PropertyAccess") {
-          const args = [];
-          if (!this.check("RIGHT_PAREN")) {
-            do {
-              args.push(this.expression());
-            } while (this.match("COMMA"));
-          }
+          const args = this.argumentList();
           this.consume("RIGHT_PAREN", "Expected ) after method arguments");
-          expr = {
-            type: "MethodCall",
-            object: expr.object,
-            method: expr.name,
-            arguments: args,
-          };
+          expr = this.finishNode(
+            {
+              type: "MethodCall",
+              object: expr.object,
+              method: expr.name,
+              arguments: args,
+              optional: expr.optional === true,
+            },
+            expr.loc.start,
+          );
         } else if (expr.type === "ThisPropertyAccess") {
-          const args = [];
-          if (!this.check("RIGHT_PAREN")) {
-            do {
-              args.push(this.expression());
-            } while (this.match("COMMA"));
-          }
+          const args = this.argumentList();
           this.consume("RIGHT_PAREN", "Expected ) after method arguments");
-          expr = {
-            type: "ThisMethodCall",
-            method: expr.property,
-            arguments: args,
-          };
+          expr = this.finishNode(
+            {
+              type: "ThisMethodCall",
+              method: expr.property,
+              arguments: args,
+            },
+            expr.loc.start,
+          );
         } else {
-          // Put back the LEFT_PAREN for other handlers
-          this.current--;
-          break;
+          // Any other expression can be called if it evaluates to a function
+          expr = this.finishCall(expr);
         }
       } else {
         break;
       }
     }
 
+    // The whole chain stops at the first nulo reached through ?.
+    if (optional) {
+      return this.finishNode(
+        { type: "OptionalChain", expression: expr },
+        expr.loc.start,
+      );
+    }
     return expr;
   }
 
@@ -852,15 +1645,12 @@ class Parser {
    * @returns {Object} Primary expression
    */
   primary() {
-    if (this.match("FALSE")) return { type: "Literal", value: false };
-    if (this.match("TRUE")) return { type: "Literal", value: true };
-    if (this.match("NULL")) return { type: "Literal", value: null };
-    if (this.match("UNDEFINED")) return { type: "Literal", value: undefined };
+    if (this.match("FALSE")) return this.literal(false);
+    if (this.match("TRUE")) return this.literal(true);
+    if (this.match("NULL")) return this.literal(null);
+    if (this.match("UNDEFINED")) return this.literal(undefined);
     if (this.match("NUMBER", "STRING")) {
-      return {
-        type: "Literal",
-        value: this.previous().literal,
-      };
+      return this.literal(this.previous().literal);
     }
 
     if (this.match("TEMPLATE_STRING")) {
@@ -872,28 +1662,26 @@ class Parser {
       // Check for single-param arrow function: x => ...
       if (this.check("ARROW")) {
         this.advance(); // Consume the ARROW
-        return this.arrowFunctionBody([identifier.lexeme]);
+        return this.arrowFunctionBody([identifier.lexeme], identifier);
       }
-      if (this.check("LEFT_PAREN")) {
-        this.advance(); // Consume the LEFT_PAREN
-        return this.finishCall(identifier);
-      }
-      return {
-        type: "Variable",
-        name: identifier.lexeme,
-      };
+      return this.finishNode(
+        {
+          type: "Variable",
+          name: identifier.lexeme,
+        },
+        identifier,
+      );
     }
 
     if (this.match("AND")) {
       const identifier = this.previous();
-      if (this.check("LEFT_PAREN")) {
-        this.advance(); // Consume the LEFT_PAREN
-        return this.finishCall(identifier);
-      }
-      return {
-        type: "Variable",
-        name: identifier.lexeme,
-      };
+      return this.finishNode(
+        {
+          type: "Variable",
+          name: identifier.lexeme,
+        },
+        identifier,
+      );
     }
 
     if (this.match("LEFT_PAREN")) {
@@ -930,7 +1718,7 @@ class Parser {
       return this.superExpression();
     }
 
-    throw new Error("Se esperaba una expresión");
+    throw this.error(this.peek(), "Se esperaba una expresión");
   }
 
   /**
@@ -938,26 +1726,25 @@ class Parser {
    * @returns {Object} New expression
    */
   newExpression() {
+    const start = this.previous();
     const className = this.consume(
       "IDENTIFIER",
       "Se esperaba el nombre de la clase después de 'nuevo'",
     );
     this.consume("LEFT_PAREN", "Se esperaba ( después del nombre de la clase");
 
-    const args = [];
-    if (!this.check("RIGHT_PAREN")) {
-      do {
-        args.push(this.expression());
-      } while (this.match("COMMA"));
-    }
+    const args = this.argumentList();
 
     this.consume("RIGHT_PAREN", "Se esperaba ) después de los argumentos");
 
-    return {
-      type: "NewExpression",
-      className: className.lexeme,
-      arguments: args,
-    };
+    return this.finishNode(
+      {
+        type: "NewExpression",
+        className: className.lexeme,
+        arguments: args,
+      },
+      start,
+    );
   }
 
   /**
@@ -965,45 +1752,77 @@ class Parser {
    * @returns {Object} This expression
    */
   thisExpression() {
+    const start = this.previous();
     // Check if accessing a property
     if (this.match("DOT")) {
-      const property = this.consume(
-        "IDENTIFIER",
-        "Se esperaba el nombre de la propiedad después de 'este.'",
+      const property = this.match("PRIVATE_NAME")
+        ? this.previous()
+        : this.consume(
+            "IDENTIFIER",
+            "Se esperaba el nombre de la propiedad después de 'este.'",
+          );
+      return this.finishNode(
+        {
+          type: "ThisPropertyAccess",
+          property: property.lexeme,
+        },
+        start,
       );
-      return {
-        type: "ThisPropertyAccess",
-        property: property.lexeme,
-      };
     }
-    return {
-      type: "This",
-    };
+    return this.finishNode(
+      {
+        type: "This",
+      },
+      start,
+    );
   }
 
   /**
-   * Parses 'super' expression for parent class calls
+   * Parses 'super' expression for parent class calls: super(args) runs the
+   * parent constructor and super.metodo(args) the parent's method
    * @returns {Object} Super expression
    */
   superExpression() {
-    this.consume("LEFT_PAREN", "Se esperaba ( después de 'super'");
-
-    const args = [];
-    if (!this.check("RIGHT_PAREN")) {
-      do {
-        args.push(this.expression());
-      } while (this.match("COMMA"));
+    const start = this.previous();
+    let method = null;
+    if (this.match("DOT")) {
+      method = this.consume(
+        "IDENTIFIER",
+        "Se esperaba el nombre del método después de 'super.'",
+      ).lexeme;
     }
+    this.consume(
+      "LEFT_PAREN",
+      method
+        ? `Se esperaba ( después de 'super.${method}'`
+        : "Se esperaba ( después de 'super'",
+    );
+
+    const args = this.argumentList();
 
     this.consume(
       "RIGHT_PAREN",
       "Se esperaba ) después de los argumentos de super",
     );
 
-    return {
-      type: "SuperCall",
-      arguments: args,
-    };
+    if (method) {
+      return this.finishNode(
+        {
+          type: "SuperMethodCall",
+          method,
+          arguments: args,
+        },
+        start,
+      );
+    }
+
+    return this.finishNode(
+      {
+        type: "SuperCall",
+        arguments: args,
+      },
+      start,
+    );
   }
 
   /**
@@ -1012,22 +1831,34 @@ class Parser {
    */
   templateStringExpression() {
     const token = this.previous();
-    const { parts, expressions } = token.literal;
+    const { parts, expressions, positions } = token.literal;
     const Tokenizer = require("./tokenizer.js");
 
-    // Parse each expression string into an AST
-    const parsedExpressions = expressions.map((exprSource) => {
+    // Parse each expression string into an AST, keeping the positions
+    // it has inside the template so spans point at the original source
+    const parsedExpressions = expressions.map((exprSource, index) => {
       const tokenizer = new Tokenizer();
-      const exprTokens = tokenizer.tokenize(exprSource);
+      const { line, column } = positions[index];
+      const exprTokens = tokenizer.tokenize(exprSource, line, column);
       const exprParser = new Parser(exprTokens);
-      return exprParser.expression();
+      const expression = exprParser.expression();
+      if (!exprParser.isAtEnd()) {
+        throw this.error(
+          exprParser.peek(),
+          "Se esperaba } después de la expresión de la plantilla",
+        );
+      }
+      return expression;
     });
 
-    return {
-      type: "TemplateString",
-      parts,
-      expressions: parsedExpressions,
-    };
+    return this.finishNode(
+      {
+        type: "TemplateString",
+        parts,
+        expressions: parsedExpressions,
+      },
+      token,
+    );
   }
 
   /**
@@ -1035,36 +1866,24 @@ class Parser {
    * @returns {Object} Anonymous function expression
    */
   anonymousFunction() {
+    const start = this.previous();
     this.consume("LEFT_PAREN", "Expected ( after funcion");
 
-    const parameters = [];
-    if (!this.check("RIGHT_PAREN")) {
-      do {
-        if (parameters.length >= 255) {
-          throw new Error("No se pueden tener más de 255 parámetros");
-        }
-        let param;
-        if (this.match("IDENTIFIER")) {
-          param = this.previous();
-        } else if (this.match("AND")) {
-          param = this.previous();
-        } else {
-          throw new Error("Se esperaba un nombre de parámetro");
-        }
-        parameters.push(param.lexeme);
-      } while (this.match("COMMA"));
-    }
+    const parameters = this.parameterList();
 
     this.consume("RIGHT_PAREN", "Expected ) after parameters");
     this.consume("LEFT_BRACE", "Expected { before function body");
     const body = this.block();
     this.consume("RIGHT_BRACE", "Expected } after function body");
 
-    return {
-      type: "AnonymousFunction",
-      parameters,
-      body,
-    };
+    return this.finishNode(
+      {
+        type: "AnonymousFunction",
+        parameters,
+        body,
+      },
+      start,
+    );
   }
 
   /**
@@ -1117,34 +1936,22 @@ class Parser {
    * @returns {Object} Arrow function expression
    */
   arrowFunctionWithParams() {
-    const parameters = [];
-
-    // Parse parameters
-    if (!this.check("RIGHT_PAREN")) {
-      do {
-        if (parameters.length >= 255) {
-          throw new Error("No se pueden tener más de 255 parámetros");
-        }
-        const param = this.consume(
-          "IDENTIFIER",
-          "Se esperaba un nombre de parámetro",
-        );
-        parameters.push(param.lexeme);
-      } while (this.match("COMMA"));
-    }
+    const start = this.previous();
+    const parameters = this.parameterList();
 
     this.consume("RIGHT_PAREN", "Se esperaba ) después de los parámetros");
     this.consume("ARROW", "Se esperaba => después de los parámetros");
 
-    return this.arrowFunctionBody(parameters);
+    return this.arrowFunctionBody(parameters, start);
   }
 
   /**
    * Parses arrow function body (expression or block)
    * @param {Array} parameters - Function parameters
+   * @param {Object} start - First token of the arrow function
    * @returns {Object} Arrow function expression
    */
-  arrowFunctionBody(parameters) {
+  arrowFunctionBody(parameters, start) {
     // Check if body is a block
     if (this.match("LEFT_BRACE")) {
       const body = this.block();
@@ -1152,22 +1959,28 @@ class Parser {
         "RIGHT_BRACE",
         "Se esperaba } después del cuerpo de la función",
       );
-      return {
-        type: "ArrowFunction",
-        parameters,
-        body,
-        isExpression: false,
-      };
+      return this.finishNode(
+        {
+          type: "ArrowFunction",
+          parameters,
+          body,
+          isExpression: false,
+        },
+        start,
+      );
     }
 
     // Body is a single expression (implicit return)
     const expression = this.expression();
-    return {
-      type: "ArrowFunction",
-      parameters,
-      body: expression,
-      isExpression: true,
-    };
+    return this.finishNode(
+      {
+        type: "ArrowFunction",
+        parameters,
+        body: expression,
+        isExpression: true,
+      },
+      start,
+    );
   }
 
   /**
@@ -1179,11 +1992,14 @@ class Parser {
     const index = this.expression();
     this.consume("RIGHT_BRACKET", "Expected ] after array index");
 
-    return {
-      type: "ArrayAccess",
-      array,
-      index,
-    };
+    return this.finishNode(
+      {
+        type: "ArrayAccess",
+        array,
+        index,
+      },
+      array.loc.start,
+    );
   }
 
   /**
@@ -1192,133 +2008,101 @@ class Parser {
    * @returns {Object} Property access expression
    */
   finishPropertyAccess(object) {
+    if (this.check("PRIVATE_NAME")) {
+      const name = this.peek().lexeme;
+      throw this.error(
+        this.peek(),
+        `El miembro privado '${name}' solo se puede usar como este.${name} dentro de su clase en la línea ${this.peek().line}`,
+      );
+    }
     this.consume("IDENTIFIER", "Expected property name after .");
     const name = this.previous();
 
-    // Check if this is a method call (array, string, or number)
-    if (
-      name.lexeme === "longitud" ||
-      name.lexeme === "primero" ||
-      name.lexeme === "ultimo" ||
-      name.lexeme === "agregar" ||
-      name.lexeme === "remover" ||
-      name.lexeme === "contiene" ||
-      name.lexeme === "recorrer" ||
-      name.lexeme === "mayusculas" ||
-      name.lexeme === "minusculas" ||
-      name.lexeme === "dividir" ||
-      name.lexeme === "reemplazar" ||
-      name.lexeme === "recortar" ||
-      name.lexeme === "incluye" ||
-      name.lexeme === "empiezaCon" ||
-      name.lexeme === "terminaCon" ||
-      name.lexeme === "caracter" ||
-      name.lexeme === "subcadena" ||
-      name.lexeme === "invertir" ||
-      name.lexeme === "filtrar" ||
-      name.lexeme === "mapear" ||
-      name.lexeme === "reducir" ||
-      name.lexeme === "ordenar" ||
-      name.lexeme === "buscar" ||
-      name.lexeme === "algunos" ||
-      name.lexeme === "todos" ||
-      name.lexeme === "unir" ||
-      name.lexeme === "cortar" ||
-      name.lexeme === "insertar" ||
-      name.lexeme === "esPar" ||
-      name.lexeme === "esImpar" ||
-      name.lexeme === "esPositivo" ||
-      name.lexeme === "esNegativo" ||
-      name.lexeme === "aTexto"
-    ) {
-      // Check if there are parentheses (method call syntax)
-      if (this.match("LEFT_PAREN")) {
-        // Consume the opening parenthesis
-        // Check if there are arguments
-        if (!this.check("RIGHT_PAREN")) {
-          // Handle methods that accept arguments
-          if (
-            name.lexeme === "agregar" ||
-            name.lexeme === "contiene" ||
-            name.lexeme === "recorrer" ||
-            name.lexeme === "dividir" ||
-            name.lexeme === "reemplazar" ||
-            name.lexeme === "incluye" ||
-            name.lexeme === "empiezaCon" ||
-            name.lexeme === "terminaCon" ||
-            name.lexeme === "caracter" ||
-            name.lexeme === "subcadena" ||
-            name.lexeme === "filtrar" ||
-            name.lexeme === "mapear" ||
-            name.lexeme === "reducir" ||
-            name.lexeme === "buscar" ||
-            name.lexeme === "algunos" ||
-            name.lexeme === "todos" ||
-            name.lexeme === "unir" ||
-            name.lexeme === "cortar" ||
-            name.lexeme === "insertar"
-          ) {
-            const args = [];
-            do {
-              args.push(this.expression());
-            } while (this.match("COMMA"));
-            this.consume("RIGHT_PAREN", "Expected ) after method call");
-
-            return {
-              type: "MethodCall",
-              object,
-              method: name.lexeme,
-              arguments: args,
-            };
-          } else {
-            throw new Error(`El método ${name.lexeme}() no acepta argumentos`);
-          }
-        }
-        // Consume the closing parenthesis
-        this.consume("RIGHT_PAREN", "Expected ) after method call");
+    // Method calls (obj.nombre(args)) are built by call() when a
+    // parenthesis follows; the evaluator resolves the method at runtime
+    return this.finishNode(
+      {
+        type: "PropertyAccess",
+        object,
+        name: name.lexeme,
+      },
+      object.loc.start,
+    );
+  }
+
+  /**
+   * Parses the arguments of a call, up to (not including) the ).
+   * Named arguments (nombre: valor) go after the positional ones
+   * @returns {Array<Object>} Expressions, Spread and NamedArgument nodes
+   */
+  argumentList() {
+    const args = [];
+    if (this.check("RIGHT_PAREN")) return args;
+
+    let named = false;
+    do {
+      if (args.length >= 255) {
+        throw new Error("Cannot have more than 255 arguments");
+      }
+      const next = this.tokens[this.current + 1];
+      if (this.check("IDENTIFIER") && next && next.type === "COLON") {
+        const name = this.advance();
+        this.advance();
+        args.push(
+          this.finishNode(
+            {
+              type: "NamedArgument",
+              name: name.lexeme,
+              value: this.expression(),
+            },
+            name,
+          ),
+        );
+        named = true;
+      } else if (named) {
+        throw new Error(
+          "Los argumentos con nombre deben ir después de los demás argumentos",
+        );
+      } else {
+        args.push(this.listElement());
       }
+    } while (this.match("COMMA"));
+    return args;
+  }
 
-      return {
-        type: "MethodCall",
-        object,
-        method: name.lexeme,
-      };
+  /**
+   * Parses a call argument or array element, which can be spread: ...lista
+   * @returns {Object} Expression or Spread node
+   */
+  listElement() {
+    if (this.match("ELLIPSIS")) {
+      const start = this.previous();
+      return this.finishNode(
+        { type: "Spread", argument: this.expression() },
+        start,
+      );
     }
-
-    return {
-      type: "PropertyAccess",
-      object,
-      name: name.lexeme,
-    };
+    return this.expression();
   }
 
   /**
    * Finishes parsing a function call
-   * @param {Object} callee - The function being called
+   * @param {Object} callee - Expression that evaluates to the function
    * @returns {Object} Function call expression
    */
   finishCall(callee) {
-    const args = [];
-
-    if (!this.check("RIGHT_PAREN")) {
-      do {
-        if (args.length >= 255) {
-          throw new Error("Cannot have more than 255 arguments");
-        }
-        args.push(this.expression());
-      } while (this.match("COMMA"));
-    }
+    const args = this.argumentList();
 
-    const paren = this.consume("RIGHT_PAREN", "Expected ) after arguments");
+    this.consume("RIGHT_PAREN", "Expected ) after arguments");
 
-    return {
-      type: "Call",
-      callee: {
-        type: "Variable",
-        name: callee.lexeme,
+    return this.finishNode(
+      {
+        type: "Call",
+        callee,
+        arguments: args,
       },
-      arguments: args,
-    };
+      callee.loc.start,
+    );
   }
 
   /**
@@ -1326,20 +2110,24 @@ class Parser {
    * @returns {Object} Array literal
    */
   arrayLiteral() {
+    const start = this.previous();
     const elements = [];
 
     if (!this.check("RIGHT_BRACKET")) {
       do {
-        elements.push(this.expression());
+        elements.push(this.listElement());
       } while (this.match("COMMA"));
     }
 
     this.consume("RIGHT_BRACKET", "Expected ] after array elements");
 
-    return {
-      type: "ArrayLiteral",
-      elements,
-    };
+    return this.finishNode(
+      {
+        type: "ArrayLiteral",
+        elements,
+      },
+      start,
+    );
   }
 
   /**
@@ -1347,12 +2135,26 @@ class Parser {
    * @returns {Object} Object literal
    */
   objectLiteral() {
+    const start = this.previous();
     const properties = [];
 
     if (!this.check("RIGHT_BRACE")) {
       do {
+        if (this.match("ELLIPSIS")) {
+          // ...objeto copies the properties of another object
+          const spreadStart = this.previous();
+          properties.push(
+            this.finishNode(
+              { type: "Spread", argument: this.expression() },
+              spreadStart,
+            ),
+          );
+          continue;
+        }
+
         // Parse property name (identifier or string)
         let name;
+        const nameToken = this.peek();
         if (this.match("IDENTIFIER")) {
           name = this.previous().lexeme;
         } else if (this.match("STRING")) {
@@ -1361,23 +2163,37 @@ class Parser {
           throw new Error("Se esperaba un nombre de propiedad");
         }
 
-        this.consume("COLON", "Expected : after property name");
-        const value = this.expression();
+        let value;
+        if (nameToken.type === "IDENTIFIER" && !this.check("COLON")) {
+          // Shorthand { nombre } means { nombre: nombre }
+          value = this.finishNode({ type: "Variable", name }, nameToken);
+        } else {
+          this.consume("COLON", "Expected : after property name");
+          value = this.expression();
+        }
 
-        properties.push({
-          type: "Property",
-          name,
-          value,
-        });
+        properties.push(
+          this.finishNode(
+            {
+              type: "Property",
+              name,
+              value,
+            },
+            nameToken,
+          ),
+        );
       } while (this.match("COMMA"));
     }
 
     this.consume("RIGHT_BRACE", "Expected } after object properties");
 
-    return {
-      type: "ObjectLiteral",
-      properties,
-    };
+    return this.finishNode(
+      {
+        type: "ObjectLiteral",
+        properties,
+      },
+      start,
+    );
   }
 
   /**
@@ -1405,6 +2221,63 @@ class Parser {
     return this.peek().type === type;
   }
 
+  /**
+   * Consumes a contextual word such as paso, which is still a valid name
+   * everywhere else
+   * @param {string} word - Expected word
+   * @returns {boolean} True if it was consumed
+   */
+  matchWord(word) {
+    if (this.check("IDENTIFIER") && this.peek().lexeme === word) {
+      this.advance();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Checks whether the current token is a contextual keyword: one of the
+   * given words, followed on the same line by a token that can continue it
+   * (see CONTEXTUAL_KEYWORDS)
+   * @param {...string} words - Accepted spellings
+   * @returns {boolean} True if the word acts as a keyword here
+   */
+  checkKeyword(...words) {
+    const token = this.peek();
+    if (token.type !== "IDENTIFIER" || !words.includes(token.lexeme)) {
+      return false;
+    }
+    const next = this.tokens[this.current + 1];
+    return (
+      next.line === token.endLine &&
+      CONTEXTUAL_KEYWORDS[token.lexeme].includes(next.type)
+    );
+  }
+
+  /**
+   * Consumes a contextual keyword if it is one here
+   * @param {...string} words - Accepted spellings
+   * @returns {boolean} True if it was consumed
+   */
+  matchKeyword(...words) {
+    if (this.checkKeyword(...words)) {
+      this.advance();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consumes a contextual word or fails
+   * @param {string} word - Expected word
+   * @param {string} message - Error message
+   */
+  consumeWord(word, message) {
+    if (!this.matchWord(word)) {
+      throw new Error(`${message} en la línea ${this.peek().line}`);
+    }
+  }
+
   /**
    * Advances to the next token
    * @returns {Object} Previous token
@@ -1447,74 +2320,247 @@ class Parser {
   consume(type, message) {
     if (this.check(type)) return this.advance();
 
-    throw new Error(`${message} en la línea ${this.peek().line}`);
+    throw this.error(this.peek(), `${message} en la línea ${this.peek().line}`);
+  }
+
+  /**
+   * Creates a syntax error pointing at a token
+   * @param {Object} token - Token where the error was found
+   * @param {string} message - Error message
+   * @returns {Error} Error with its source location
+   */
+  error(token, message) {
+    const error = new Error(message);
+    error.loc = this.tokenLocation(token);
+    return error;
+  }
+
+  /**
+   * Returns the source span covered by a single token
+   * @param {Object} token - Token to locate
+   * @returns {Object} Location with start and end positions
+   */
+  tokenLocation(token) {
+    return {
+      start: { line: token.line, column: token.column },
+      end: { line: token.endLine, column: token.endColumn },
+    };
+  }
+
+  /**
+   * Attaches the source span of a node, from its first token (or start
+   * position) up to the last consumed token
+   * @param {Object} node - AST node
+   * @param {Object} start - First token or position ({ line, column })
+   * @returns {Object} The same node with its loc property
+   */
+  finishNode(node, start) {
+    const end = this.previous();
+    node.loc = {
+      start: { line: start.line, column: start.column },
+      end: { line: end.endLine, column: end.endColumn },
+    };
+    return node;
+  }
+
+  /**
+   * Creates a literal node for the token just consumed
+   * @param {*} value - Literal value
+   * @returns {Object} Literal expression
+   */
+  literal(value) {
+    return this.finishNode({ type: "Literal", value }, this.previous());
   }
 
   /**
-   * Synchronizes the parser after an error
+   * Synchronizes the parser after an error, skipping to the next statement
+   * boundary: a ; just consumed, the } of the enclosing block or a keyword
+   * that starts a statement. Braces opened by the broken statement (and
+   * any skipped on the way) are skipped up to their closing }
+   * @param {number} startIndex - Index of the first token of the statement
    */
-  synchronize() {
-    this.advance();
+  synchronize(startIndex) {
+    let depth = this.openBraces(startIndex);
+    let skippedBlock = depth > 0;
+    const skip = () => {
+      const token = this.advance();
+      if (token.type === "LEFT_BRACE") {
+        depth++;
+        skippedBlock = true;
+      } else if (token.type === "RIGHT_BRACE" && depth > 0) {
+        depth--;
+      }
+    };
+
+    // Move past the offending token, unless the statement already made
+    // progress and the token starts the next statement or closes the block
+    if (
+      depth > 0 ||
+      this.current === startIndex ||
+      !this.atStatementBoundary()
+    ) {
+      skip();
+    }
 
     while (!this.isAtEnd()) {
-      if (this.previous().type === "EOF") return;
-
-      switch (this.peek().type) {
-        case "VARIABLE":
-        case "CONSTANTE":
-        case "FUNCION":
-        case "CLASE":
-        case "MOSTRAR":
-        case "LEER":
-        case "SI":
-        case "MIENTRAS":
-        case "PARA":
-        case "RETORNAR":
-        case "ROMPER":
-        case "CONTINUAR":
-        case "INTENTAR":
-        case "CAPTURAR":
-          return;
+      if (depth === 0) {
+        const previous = this.previous().type;
+        if (previous === "SEMICOLON") return;
+        if (previous === "RIGHT_BRACE" && skippedBlock) return;
+        if (this.atStatementBoundary()) return;
       }
 
-      this.advance();
+      skip();
+    }
+  }
+
+  /**
+   * Checks if the current token closes a block or starts a statement
+   * @returns {boolean} True if parsing can resume here
+   */
+  atStatementBoundary() {
+    switch (this.peek().type) {
+      case "RIGHT_BRACE":
+      case "VARIABLE":
+      case "CONSTANTE":
+      case "FUNCION":
+      case "CLASE":
+      case "MOSTRAR":
+      case "LEER":
+      case "SI":
+      case "MIENTRAS":
+      case "PARA":
+      case "ELEGIR":
+      case "HACER":
+      case "RETORNAR":
+      case "ROMPER":
+      case "CONTINUAR":
+      case "INTENTAR":
+      case "CAPTURAR":
+        return true;
+      case "IDENTIFIER":
+        return this.checkKeyword(
+          "importar",
+          "exportar",
+          "interfaz",
+          "enumeracion",
+          "enumeración",
+          "lanzar",
+          "finalmente",
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Counts the braces opened and not yet closed since a token index
+   * @param {number} startIndex - Index of the first token to count
+   * @returns {number} Number of open braces
+   */
+  openBraces(startIndex) {
+    let open = 0;
+    for (let i = startIndex; i < this.current; i++) {
+      if (this.tokens[i].type === "LEFT_BRACE") open++;
+      if (this.tokens[i].type === "RIGHT_BRACE") open--;
     }
+    return Math.max(open, 0);
   }
 
   /**
-   * Parses a try-catch statement
+   * Parses a try-catch statement with optional capturar and finalmente
    * @returns {Object} Try-catch statement
    */
   tryStatement() {
+    const start = this.previous();
     // Parse the try block
     this.consume("LEFT_BRACE", "Expected { after intentar");
     const tryBlock = this.block();
     this.consume("RIGHT_BRACE", "Expected } after intentar block");
 
-    // Look for catch block
-    if (this.match("CAPTURAR")) {
+    // Look for catch blocks, optionally filtered by error class:
+    // capturar (e: ErrorDeValidacion) { ... } capturar (e) { ... }
+    const catchClauses = [];
+    while (this.match("CAPTURAR")) {
+      const clauseStart = this.previous();
+      if (
+        catchClauses.length > 0 &&
+        catchClauses[catchClauses.length - 1].errorClass === null
+      ) {
+        throw this.error(
+          clauseStart,
+          "Un capturar sin clase debe ser el último bloque capturar",
+        );
+      }
+
       // Parse catch parameter (error variable name)
       this.consume("LEFT_PAREN", "Expected ( after capturar");
       const errorVariable = this.consume(
         "IDENTIFIER",
         "Expected error variable name",
-      );
+      ).lexeme;
+      let errorClass = null;
+      if (this.match("COLON")) {
+        errorClass = this.consume(
+          "IDENTIFIER",
+          "Se esperaba el nombre de una clase de error después de :",
+        ).lexeme;
+      }
       this.consume("RIGHT_PAREN", "Expected ) after error variable");
 
       // Parse catch block
       this.consume("LEFT_BRACE", "Expected { after capturar");
-      const catchBlock = this.block();
+      const body = this.block();
       this.consume("RIGHT_BRACE", "Expected } after capturar block");
 
-      return {
+      catchClauses.push(
+        this.finishNode({ errorVariable, errorClass, body }, clauseStart),
+      );
+    }
+
+    // Look for finally block
+    let finallyBlock = null;
+    if (this.matchKeyword("finalmente")) {
+      this.consume("LEFT_BRACE", "Se esperaba { después de finalmente");
+      finallyBlock = this.block();
+      this.consume(
+        "RIGHT_BRACE",
+        "Se esperaba } después del bloque finalmente",
+      );
+    }
+
+    if (catchClauses.length === 0 && !finallyBlock) {
+      throw new Error(
+        "Se esperaba capturar o finalmente después del bloque intentar",
+      );
+    }
+
+    return this.finishNode(
+      {
         type: "TryCatch",
         tryBlock,
-        catchBlock,
-        errorVariable: errorVariable.lexeme,
-      };
-    } else {
-      throw new Error("Se esperaba capturar después del bloque intentar");
-    }
+        catchClauses,
+        finallyBlock,
+      },
+      start,
+    );
+  }
+
+  /**
+   * Parses a throw statement
+   * @returns {Object} Throw statement
+   */
+  throwStatement() {
+    const start = this.previous();
+    const value = this.expression();
+
+    return this.finishNode(
+      {
+        type: "ThrowStatement",
+        value,
+      },
+      start,
+    );
   }
 
   /**
@@ -1522,6 +2568,7 @@ class Parser {
    * @returns {Object} Elegir statement
    */
   elegirStatement() {
+    const start = this.previous();
     const discriminant = this.expression();
     this.consume("LEFT_BRACE", "Expected { after elegir expression");
 
@@ -1530,6 +2577,7 @@ class Parser {
 
     while (!this.check("RIGHT_BRACE") && !this.isAtEnd()) {
       if (this.match("CASO")) {
+        const clauseStart = this.previous();
         const testValue = this.expression();
         this.consume("COLON", "Expected : after caso value");
 
@@ -1539,14 +2587,14 @@ class Parser {
           consequent = this.block();
           this.consume("RIGHT_BRACE", "Expected } after caso block");
         } else {
-          consequent = [this.declaration()];
+          consequent = [this.declaration()].filter(Boolean);
         }
 
-        cases.push({
-          test: testValue,
-          consequent,
-        });
+        cases.push(
+          this.finishNode({ test: testValue, consequent }, clauseStart),
+        );
       } else if (this.match("PORDEFECTO")) {
+        const clauseStart = this.previous();
         this.consume("COLON", "Expected : after pordefecto");
 
         let consequent;
@@ -1555,12 +2603,10 @@ class Parser {
           consequent = this.block();
           this.consume("RIGHT_BRACE", "Expected } after pordefecto block");
         } else {
-          consequent = [this.declaration()];
+          consequent = [this.declaration()].filter(Boolean);
         }
 
-        defaultCase = {
-          consequent,
-        };
+        defaultCase = this.finishNode({ consequent }, clauseStart);
       } else {
         throw new Error("Se esperaba caso o pordefecto dentro de elegir");
       }
@@ -1568,12 +2614,15 @@ class Parser {
 
     this.consume("RIGHT_BRACE", "Expected } after elegir block");
 
-    return {
-      type: "ElegirStatement",
-      discriminant,
-      cases,
-      defaultCase,
-    };
+    return this.finishNode(
+      {
+        type: "ElegirStatement",
+        discriminant,
+        cases,
+        defaultCase,
+      },
+      start,
+    );
   }
 
   /**
@@ -1581,6 +2630,7 @@ class Parser {
    * @returns {Object} HacerMientras statement
    */
   hacerMientrasStatement() {
+    const start = this.previous();
     this.consume("LEFT_BRACE", "Expected { after hacer");
     const body = this.block();
     this.consume("RIGHT_BRACE", "Expected } after hacer block");
@@ -1588,11 +2638,55 @@ class Parser {
     this.consume("MIENTRAS", "Expected mientras after hacer block");
     const condition = this.expression();
 
-    return {
-      type: "HacerMientrasStatement",
-      body,
-      condition,
-    };
+    return this.finishNode(
+      {
+        type: "HacerMientrasStatement",
+        body,
+        condition,
+      },
+      start,
+    );
+  }
+
+  /**
+   * Parses a counted loop: para i desde 1 hasta 10 paso 2 { }.
+   * It is a para cada over the inclusive range desde..hasta
+   * @returns {Object} ForEach statement
+   */
+  countedForStatement() {
+    const start = this.previous();
+    const iterator = this.advance().lexeme;
+    this.advance(); // desde
+    const from = this.expression();
+    const toStart = this.peek();
+    this.consumeWord("hasta", "Se esperaba hasta después del valor inicial");
+    const to = this.expression();
+    const step = this.matchWord("paso") ? this.expression() : null;
+
+    const iterable = this.finishNode(
+      {
+        type: "Range",
+        start: from,
+        end: to,
+        inclusive: true,
+        step,
+      },
+      toStart,
+    );
+
+    this.consume("LEFT_BRACE", "Se esperaba { después del rango del bucle");
+    const body = this.block();
+    this.consume("RIGHT_BRACE", "Se esperaba } después del bloque del bucle");
+
+    return this.finishNode(
+      {
+        type: "ForEachStatement",
+        iterator,
+        iterable,
+        body,
+      },
+      start,
+    );
   }
 
   /**
@@ -1600,8 +2694,8 @@ class Parser {
    * @returns {Object} ForEach statement
    */
   forEachStatement() {
-    const iteratorName = this.consume(
-      "IDENTIFIER",
+    const start = this.tokens[this.current - 2]; // 'para' before 'cada'
+    const iterator = this.bindingTarget(
       "Expected iterator variable name after cada",
     );
     this.consume("EN", "Expected en after iterator variable");
@@ -1611,12 +2705,15 @@ class Parser {
     const body = this.block();
     this.consume("RIGHT_BRACE", "Expected } after para cada block");
 
-    return {
-      type: "ForEachStatement",
-      iterator: iteratorName.lexeme,
-      iterable,
-      body,
-    };
+    return this.finishNode(
+      {
+        type: "ForEachStatement",
+        iterator,
+        iterable,
+        body,
+      },
+      start,
+    );
   }
 }
 
@@ -9,18 +9,25 @@ class Tokenizer {
     this.tokens = [];
     this.current = 0;
     this.startPos = 0;
+    this.startLine = 1;
+    this.startColumn = 1;
     this.currentLine = 1;
+    this.lineStart = 0; // Index of the first character of the current line
   }
 
   /**
    * Tokenizes source code and returns a list of tokens
    * @param {string} source - Source code to tokenize
+   * @param {number} startLine - Line of the first character (for embedded code)
+   * @param {number} startColumn - Column of the first character
    * @returns {Array} List of tokens
    */
-  tokenize(source) {
+  tokenize(source, startLine = 1, startColumn = 1) {
     this.source = source;
     this.tokens = [];
     this.current = 0;
+    this.currentLine = startLine;
+    this.lineStart = 1 - startColumn;
 
     while (!this.isAtEnd()) {
       this.scanToken();
@@ -31,6 +38,9 @@ class Tokenizer {
       lexeme: "",
       literal: null,
       line: this.currentLine,
+      column: this.currentColumn(),
+      endLine: this.currentLine,
+      endColumn: this.currentColumn(),
     });
     return this.tokens;
   }
@@ -40,6 +50,8 @@ class Tokenizer {
    */
   scanToken() {
     this.startPos = this.current;
+    this.startLine = this.currentLine;
+    this.startColumn = this.currentColumn();
 
     // Check for comments before advancing
     if (
@@ -60,7 +72,7 @@ class Tokenizer {
         break;
 
       case "\n":
-        this.currentLine++;
+        this.newLine();
         break;
 
       case "=":
@@ -76,7 +88,15 @@ class Tokenizer {
         break;
 
       case "*":
-        if (this.peek() === "=") {
+        if (this.peek() === "*") {
+          this.advance();
+          if (this.peek() === "=") {
+            this.advance();
+            this.addToken("STAR_STAR_EQUAL");
+          } else {
+            this.addToken("STAR_STAR");
+          }
+        } else if (this.peek() === "=") {
           this.advance();
           this.addToken("STAR_EQUAL");
         } else {
@@ -181,6 +201,18 @@ class Tokenizer {
         this.addToken("COLON");
         break;
 
+      case "?":
+        if (this.peek() === "?") {
+          this.advance();
+          this.addToken("QUESTION_QUESTION");
+        } else if (this.peek() === ".") {
+          this.advance();
+          this.addToken("QUESTION_DOT");
+        } else {
+          this.addToken("QUESTION");
+        }
+        break;
+
       case "[":
         this.addToken("LEFT_BRACKET");
         break;
@@ -190,7 +222,20 @@ class Tokenizer {
         break;
 
       case ".":
-        this.addToken("DOT");
+        if (this.peek() === "." && this.peekNext() === ".") {
+          this.advance();
+          this.advance();
+          this.addToken("ELLIPSIS");
+        } else if (this.peek() === "." && this.peekNext() === "<") {
+          this.advance();
+          this.advance();
+          this.addToken("DOT_DOT_LESS");
+        } else if (this.peek() === ".") {
+          this.advance();
+          this.addToken("DOT_DOT");
+        } else {
+          this.addToken("DOT");
+        }
         break;
 
       case '"':
@@ -213,14 +258,27 @@ class Tokenizer {
         }
         break;
 
+      case "#":
+        // Private member name: #saldo
+        if (!this.isAlpha(this.peek())) {
+          throw this.error(
+            `Se esperaba un nombre después de # en la línea ${this.startLine}`,
+          );
+        }
+        while (this.isAlphaNumeric(this.peek())) {
+          this.advance();
+        }
+        this.addToken("PRIVATE_NAME");
+        break;
+
       default:
         if (this.isDigit(char)) {
           this.number();
         } else if (this.isAlpha(char)) {
           this.identifier();
         } else {
-          throw new Error(
-            `Carácter inesperado: ${char} en la línea ${this.currentLine}`,
+          throw this.error(
+            `Carácter inesperado: ${char} en la línea ${this.startLine}`,
           );
         }
         break;
@@ -232,23 +290,94 @@ class Tokenizer {
    * @param {string} quoteType - Type of quote (' or ")
    */
   string(quoteType = '"') {
+    let value = "";
+
     while (this.peek() !== quoteType && !this.isAtEnd()) {
-      if (this.peek() === "\n") this.currentLine++;
-      this.advance();
+      const char = this.advance();
+      if (char === "\\") {
+        value += this.escapeSequence(false);
+        continue;
+      }
+      if (char === "\n") this.newLine();
+      value += char;
     }
 
     if (this.isAtEnd()) {
-      throw new Error("Cadena no terminada");
+      throw this.error(`Cadena no terminada en la línea ${this.startLine}`);
     }
 
     // Consume the closing quote
     this.advance();
 
-    // Extract the string value
-    const value = this.source.substring(this.startPos + 1, this.current - 1);
     this.addToken("STRING", value);
   }
 
+  /**
+   * Processes an escape sequence after a backslash inside a string
+   * Supports \n, \t, \r, \0, \\, \", \', \` and \u{código}
+   * @param {boolean} inTemplate - True inside a template string (allows \$)
+   * @returns {string} The escaped character(s)
+   */
+  escapeSequence(inTemplate) {
+    if (this.isAtEnd()) {
+      throw this.error(`Cadena no terminada en la línea ${this.startLine}`);
+    }
+
+    const char = this.advance();
+    switch (char) {
+      case "n":
+        return "\n";
+      case "t":
+        return "\t";
+      case "r":
+        return "\r";
+      case "0":
+        return "\0";
+      case "\\":
+      case '"':
+      case "'":
+      case "`":
+        return char;
+      case "$":
+        if (inTemplate) return char;
+        break;
+      case "u":
+        return this.unicodeEscape();
+    }
+
+    throw this.error(
+      `Secuencia de escape desconocida: \\${char} en la línea ${this.currentLine}`,
+    );
+  }
+
+  /**
+   * Processes a Unicode escape of the form \u{1F600}
+   * @returns {string} The character for the code point
+   */
+  unicodeEscape() {
+    const error = `Secuencia de escape Unicode inválida en la línea ${this.currentLine}, se esperaba \\u{código hexadecimal}`;
+    if (this.peek() !== "{") {
+      throw this.error(error);
+    }
+    this.advance();
+
+    let hex = "";
+    while (/[0-9a-fA-F]/.test(this.peek())) {
+      hex += this.advance();
+    }
+
+    if (this.peek() !== "}" || hex.length === 0 || hex.length > 6) {
+      throw this.error(error);
+    }
+    this.advance();
+
+    const codePoint = parseInt(hex, 16);
+    if (codePoint > 0x10ffff) {
+      throw this.error(error);
+    }
+    return String.fromCodePoint(codePoint);
+  }
+
   /**
    * Processes a template string with interpolation (backticks)
    * Supports ${expression} syntax for embedding expressions
@@ -256,6 +385,7 @@ class Tokenizer {
   templateString() {
     const parts = []; // Literal string parts
     const expressions = []; // Expression source strings
+    const positions = []; // Line and column where each expression starts
     let currentPart = "";
 
     while (!this.isAtEnd()) {
@@ -265,7 +395,7 @@ class Tokenizer {
         // End of template string
         this.advance();
         parts.push(currentPart);
-        this.addToken("TEMPLATE_STRING", { parts, expressions });
+        this.addToken("TEMPLATE_STRING", { parts, expressions, positions });
         return;
       }
 
@@ -275,6 +405,10 @@ class Tokenizer {
         currentPart = "";
         this.advance(); // consume $
         this.advance(); // consume {
+        positions.push({
+          line: this.currentLine,
+          column: this.currentColumn(),
+        });
 
         // Extract the expression
         let braceCount = 1;
@@ -293,21 +427,26 @@ class Tokenizer {
             }
             this.advance();
           } else {
-            if (c === "\n") this.currentLine++;
             expressionSource += c;
             this.advance();
+            if (c === "\n") this.newLine();
           }
         }
 
         expressions.push(expressionSource);
+      } else if (char === "\\") {
+        this.advance(); // consume the backslash
+        currentPart += this.escapeSequence(true);
       } else {
-        if (char === "\n") this.currentLine++;
         currentPart += char;
         this.advance();
+        if (char === "\n") this.newLine();
       }
     }
 
-    throw new Error("Cadena de plantilla no terminada");
+    throw this.error(
+      `Cadena de plantilla no terminada en la línea ${this.startLine}`,
+    );
   }
 
   /**
@@ -399,12 +538,48 @@ class Tokenizer {
       } else {
         this.addToken("IDENTIFIER");
       }
+    } else if (text === "div") {
+      this.integerDivision();
     } else {
       const type = this.getKeywordType(text);
       this.addToken(type);
     }
   }
 
+  /**
+   * Tokenizes 'div', which is integer division (7 div 2) only right after
+   * an operand on the same line, so it can still be used as a name.
+   * 'div=' is its compound assignment
+   */
+  integerDivision() {
+    const prevToken = this.tokens[this.tokens.length - 1];
+    const afterOperand =
+      prevToken &&
+      prevToken.endLine === this.startLine &&
+      [
+        "IDENTIFIER",
+        "NUMBER",
+        "STRING",
+        "TEMPLATE_STRING",
+        "TRUE",
+        "FALSE",
+        "NULL",
+        "UNDEFINED",
+        "ESTE",
+        "RIGHT_PAREN",
+        "RIGHT_BRACKET",
+      ].includes(prevToken.type);
+
+    if (!afterOperand) {
+      this.addToken("IDENTIFIER");
+    } else if (this.peek() === "=" && this.peekNext() !== "=") {
+      this.advance();
+      this.addToken("DIV_EQUAL");
+    } else {
+      this.addToken("DIV");
+    }
+  }
+
   /**
    * Determines if the identifier is a keyword
    * @param {string} text - Identifier text
@@ -418,9 +593,11 @@ class Tokenizer {
       leer: "LEER",
       si: "SI",
       sino: "SINO",
+      sinó: "SINO",
       mientras: "MIENTRAS",
       para: "PARA",
       funcion: "FUNCION",
+      función: "FUNCION",
       retornar: "RETORNAR",
       verdadero: "TRUE",
       falso: "FALSE",
@@ -432,6 +609,7 @@ class Tokenizer {
       nulo: "NULL",
       indefinido: "UNDEFINED",
       elegir: "ELEGIR",
+      según: "ELEGIR",
       caso: "CASO",
       pordefecto: "PORDEFECTO",
       hacer: "HACER",
@@ -473,6 +651,36 @@ class Tokenizer {
     return this.source[this.current];
   }
 
+  /**
+   * Registers a line break just consumed
+   */
+  newLine() {
+    this.currentLine++;
+    this.lineStart = this.current;
+  }
+
+  /**
+   * Returns the column (1-based) of the current character
+   * @returns {number} Current column
+   */
+  currentColumn() {
+    return this.current - this.lineStart + 1;
+  }
+
+  /**
+   * Creates a lexical error pointing at the current token
+   * @param {string} message - Error message
+   * @returns {Error} Error with its source location
+   */
+  error(message) {
+    const error = new Error(message);
+    error.loc = {
+      start: { line: this.startLine, column: this.startColumn },
+      end: { line: this.currentLine, column: this.currentColumn() },
+    };
+    return error;
+  }
+
   /**
    * Checks if we have reached the end of the code
    * @returns {boolean} True if we reached the end
@@ -492,24 +700,22 @@ class Tokenizer {
 
   /**
    * Checks if a character is alphabetic
+   * Accepts any Unicode letter so identifiers like año or canción are valid
    * @param {string} char - Character to check
    * @returns {boolean} True if it is alphabetic
    */
   isAlpha(char) {
-    return (
-      (char >= "a" && char <= "z") ||
-      (char >= "A" && char <= "Z") ||
-      char === "_"
-    );
+    return /[\p{L}_]/u.test(char);
   }
 
   /**
    * Checks if a character is alphanumeric
+   * Combining marks are allowed after the first character (decomposed accents)
    * @param {string} char - Character to check
    * @returns {boolean} True if it is alphanumeric
    */
   isAlphaNumeric(char) {
-    return this.isAlpha(char) || this.isDigit(char);
+    return this.isAlpha(char) || this.isDigit(char) || /\p{M}/u.test(char);
   }
 
   /**
@@ -523,7 +729,10 @@ class Tokenizer {
       type,
       lexeme: text,
       literal,
-      line: this.currentLine,
+      line: this.startLine,
+      column: this.startColumn,
+      endLine: this.currentLine,
+      endColumn: this.currentColumn(),
     });
   }
 }
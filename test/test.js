@@ -6100,6 +6100,2927 @@ function runTests() {
     );
   });
 
+  // ==================== CLAUSURAS (CLOSURES) ====================
+
+  test("Function returning a counter keeps its own state", () => {
+    const code = `
+      funcion crearContador() {
+        variable cuenta = 0
+        retornar funcion() {
+          cuenta = cuenta + 1
+          retornar cuenta
+        }
+      }
+
+      variable contador = crearContador()
+      variable otro = crearContador()
+      contador()
+      contador()
+      mostrar contador()
+      mostrar otro()
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["3", "1"],
+      "Each returned function should keep its own captured variable",
+    );
+  });
+
+  test("Closures resolve variables lexically, not from the caller", () => {
+    const code = `
+      variable x = "global"
+
+      funcion mostrarX() {
+        retornar x
+      }
+
+      funcion llamar() {
+        variable x = "local"
+        retornar mostrarX()
+      }
+
+      mostrar llamar()
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["global"],
+      "Free variables should be looked up where the function was defined",
+    );
+  });
+
+  test("Arrow function factory captures its parameter", () => {
+    const code = `
+      funcion multiplicarPor(factor) {
+        retornar x => x * factor
+      }
+
+      variable doble = multiplicarPor(2)
+      variable triple = multiplicarPor(3)
+      mostrar [1, 2, 3].mapear(doble)
+      mostrar [1, 2, 3].mapear(triple)
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["[2, 4, 6]", "[3, 6, 9]"],
+      "Arrow functions should capture outer parameters",
+    );
+  });
+
+  test("Array callbacks see locals of the enclosing function", () => {
+    const code = `
+      funcion filtrarMayores(lista, limite) {
+        retornar lista.filtrar(x => x > limite)
+      }
+
+      funcion sumarTodos(lista) {
+        variable total = 0
+        lista.recorrer(funcion(n) {
+          total = total + n
+        })
+        retornar total
+      }
+
+      mostrar filtrarMayores([1, 5, 10, 15], 7)
+      mostrar sumarTodos([1, 2, 3, 4])
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["[10, 15]", "10"],
+      "Callbacks should close over the enclosing function scope",
+    );
+  });
+
+  test("Methods resolve free variables in the class definition scope", () => {
+    const code = `
+      variable prefijo = "Sr. "
+
+      clase Persona {
+        constructor(nombre) {
+          este.nombre = prefijo + nombre
+        }
+
+        saludar() {
+          retornar "Hola, " + este.nombre
+        }
+      }
+
+      funcion crear() {
+        variable prefijo = "Otro "
+        retornar nuevo Persona("Pérez")
+      }
+
+      mostrar crear().saludar()
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["Hola, Sr. Pérez"],
+      "Constructors and methods should use the scope where the class was declared",
+    );
+  });
+
+  test("Callbacks created in a method keep access to este", () => {
+    const code = `
+      clase Carrito {
+        constructor() {
+          este.total = 0
+        }
+
+        sumar(precios) {
+          precios.recorrer(p => este.total = este.total + p)
+          retornar este.total
+        }
+      }
+
+      variable c = nuevo Carrito()
+      mostrar c.sumar([10, 20, 5])
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["35"],
+      "Arrow functions inside methods should capture the instance",
+    );
+  });
+
+  // ==================== LLAMADAS SOBRE EXPRESIONES ====================
+
+  test("Calling the result of a call", () => {
+    const code = `
+      funcion crearSumador(a) {
+        retornar b => a + b
+      }
+
+      mostrar crearSumador(2)(3)
+    `;
+    const output = run(code);
+    assertEquals(output, ["5"], "A call result should be callable");
+  });
+
+  test("Calling a function stored in an array", () => {
+    const code = `
+      variable operaciones = [x => x + 1, x => x * 10]
+      mostrar operaciones[0](4)
+      mostrar operaciones[1](4)
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["5", "40"],
+      "Array elements holding functions should be callable",
+    );
+  });
+
+  test("Calling a function-valued property of an object literal", () => {
+    const code = `
+      variable objeto = {
+        nombre: "Ana",
+        accion: funcion(saludo) { retornar saludo + "!" }
+      }
+      mostrar objeto.accion("Hola")
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["Hola!"],
+      "Object properties holding functions should be callable",
+    );
+  });
+
+  test("Calling a bound method taken from an instance", () => {
+    const code = `
+      clase Persona {
+        constructor(nombre) {
+          este.nombre = nombre
+        }
+
+        saludar(saludo) {
+          retornar saludo + ", soy " + este.nombre
+        }
+      }
+
+      variable p = nuevo Persona("Luis")
+      variable saludo = p.saludar
+      mostrar saludo("Hola")
+      mostrar ["Hey", "Buenas"].mapear(p.saludar)
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["Hola, soy Luis", "[Hey, soy Luis, Buenas, soy Luis]"],
+      "Bound methods should keep their instance when called",
+    );
+  });
+
+  test("Immediately invoked anonymous function", () => {
+    const code = `
+      variable valor = (funcion() { retornar 42 })()
+      mostrar valor
+    `;
+    const output = run(code);
+    assertEquals(output, ["42"], "Parenthesized functions should be callable");
+  });
+
+  test("Calling a value that is not a function reports an error", () => {
+    const code = `
+      variable numero = 5
+      numero()
+    `;
+    const result = interpret(code);
+    assertTrue(!result.success, "Calling a number should fail");
+    assertTrue(
+      result.error.includes("solo se pueden llamar funciones"),
+      "Error should explain that only functions can be called",
+    );
+  });
+
+  test("Calling a non-function property reports an error", () => {
+    const code = `
+      variable objeto = { nombre: "Ana" }
+      objeto.nombre()
+    `;
+    const result = interpret(code);
+    assertTrue(!result.success, "Calling a string property should fail");
+    assertTrue(
+      result.error.includes("no es una función"),
+      "Error should mention the property is not a function",
+    );
+  });
+
+  // ==================== DESPACHO ABIERTO DE MÉTODOS ====================
+
+  test("User classes can define methods named like built-ins", () => {
+    const code = `
+      clase Inventario {
+        constructor() {
+          este.items = []
+        }
+
+        agregar(nombre, cantidad) {
+          este.items.agregar(nombre + " x" + cantidad)
+        }
+
+        longitud() {
+          retornar este.items.longitud()
+        }
+
+        buscar(texto) {
+          retornar este.items.buscar(item => item.empiezaCon(texto))
+        }
+      }
+
+      variable inv = nuevo Inventario()
+      inv.agregar("manzana", 3)
+      inv.agregar("pera", 2)
+      mostrar inv.longitud()
+      mostrar inv.buscar("pe")
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["2", "pera x2"],
+      "Instance methods should take precedence over built-in names",
+    );
+  });
+
+  test("User-defined ordenar receives its own argument", () => {
+    const code = `
+      clase Ranking {
+        constructor(puntos) {
+          este.puntos = puntos
+        }
+
+        ordenar(criterio) {
+          si criterio == "desc" {
+            retornar este.puntos.ordenar((a, b) => b - a)
+          }
+          retornar este.puntos.ordenar()
+        }
+      }
+
+      variable r = nuevo Ranking([3, 1, 2])
+      mostrar r.ordenar("desc")
+      mostrar r.ordenar("asc")
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["[3, 2, 1]", "[1, 2, 3]"],
+      "ordenar(criterio) should call the user method",
+    );
+  });
+
+  test("Arbitrary method names accept arguments", () => {
+    const code = `
+      clase Calculadora {
+        calcularTotal(precio, cantidad, descuento) {
+          retornar precio * cantidad - descuento
+        }
+      }
+
+      variable c = nuevo Calculadora()
+      mostrar c.calcularTotal(10, 3, 5)
+    `;
+    const output = run(code);
+    assertEquals(output, ["25"], "Any method name should accept arguments");
+  });
+
+  test("Built-in methods still work without parentheses", () => {
+    const code = `
+      variable lista = [4, 5, 6]
+      variable texto = "Hola"
+      mostrar lista.longitud
+      mostrar lista.ultimo
+      mostrar texto.mayusculas
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["3", "6", "HOLA"],
+      "Property-style built-ins should keep working",
+    );
+  });
+
+  test("Other names without parentheses are plain property reads", () => {
+    const output = run(`
+      variable lista = [3, 1, 2]
+      mostrar lista.x
+      variable ordenada = lista.ordenar
+      mostrar lista
+    `);
+    assertEquals(
+      output,
+      ["undefined", "[3, 1, 2]"],
+      "Only property-like built-ins should run without parentheses",
+    );
+    assertTrue(
+      interpret(`mostrar "abc".x`).error.includes(
+        "Solo se pueden acceder propiedades de objetos",
+      ),
+      "Strings have no plain properties",
+    );
+  });
+
+  test("Built-in methods without parameters reject arguments", () => {
+    const code = `
+      variable texto = "hola"
+      mostrar texto.mayusculas(1)
+    `;
+    const result = interpret(code);
+    assertTrue(!result.success, "Passing arguments should fail");
+    assertTrue(
+      result.error.includes("no acepta argumentos"),
+      "Error should say the method takes no arguments",
+    );
+  });
+
+  test("Unknown method on an instance reports an error", () => {
+    const code = `
+      clase Vacia {}
+      variable v = nuevo Vacia()
+      v.volar()
+    `;
+    const result = interpret(code);
+    assertTrue(!result.success, "Calling a missing method should fail");
+    assertTrue(
+      result.error.includes("Método 'volar' no encontrado"),
+      "Error should name the missing method",
+    );
+  });
+
+  // ==================== IDENTIFICADORES UNICODE ====================
+
+  test("Identifiers with accents and ñ", () => {
+    const code = `
+      variable año = 2024
+      variable número = 7
+      variable canción = "Cielito lindo"
+      constante TAMAÑO = 3
+      mostrar año + número
+      mostrar canción
+      mostrar TAMAÑO
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["2031", "Cielito lindo", "3"],
+      "Unicode letters should be valid in identifiers",
+    );
+  });
+
+  test("Accented names in functions, parameters, properties and classes", () => {
+    const code = `
+      funcion áreaDelRectángulo(base, altura) {
+        retornar base * altura
+      }
+
+      clase Canción {
+        constructor(título) {
+          este.título = título
+        }
+      }
+
+      variable c = nuevo Canción("Bésame")
+      variable datos = { año: 1940, género: "bolero" }
+      mostrar áreaDelRectángulo(2, 5)
+      mostrar c.título
+      mostrar datos.género
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["10", "Bésame", "bolero"],
+      "Accented identifiers should work everywhere",
+    );
+  });
+
+  test("Accented keyword spellings: función and sinó", () => {
+    const code = `
+      función doble(x) {
+        retornar x * 2
+      }
+
+      si doble(2) > 10 {
+        mostrar "grande"
+      } sinó {
+        mostrar "pequeño"
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["pequeño"],
+      "función and sinó should behave like funcion and sino",
+    );
+  });
+
+  test("según is accepted as an alias of elegir", () => {
+    const code = `
+      variable día = 2
+      según día {
+        caso 1: mostrar "lunes"
+        caso 2: mostrar "martes"
+        pordefecto: mostrar "otro"
+      }
+    `;
+    const output = run(code);
+    assertEquals(output, ["martes"], "según should work like elegir");
+  });
+
+  test("Tokenizer produces identifiers for accented names", () => {
+    const Tokenizer = require("../src/tokenizer.js");
+    const tokens = new Tokenizer().tokenize("variable señal = 1");
+    assertEquals(tokens[1].type, "IDENTIFIER", "señal should be an identifier");
+    assertEquals(tokens[1].lexeme, "señal", "Lexeme should include the ñ");
+  });
+
+  // ==================== SECUENCIAS DE ESCAPE ====================
+
+  test("Newline and tab escapes in strings", () => {
+    const code = `
+      mostrar "Producto\\tPrecio\\nPan\\t10"
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["Producto\tPrecio\nPan\t10"],
+      "\\n and \\t should become newline and tab",
+    );
+  });
+
+  test("Escaped quotes and backslash", () => {
+    const code = `
+      mostrar "Ella dijo \\"hola\\""
+      mostrar 'It\\'s'
+      mostrar "C:\\\\carpeta"
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ['Ella dijo "hola"', "It's", "C:\\carpeta"],
+      "Quotes and backslashes should be escapable",
+    );
+  });
+
+  test("Unicode code point escapes", () => {
+    const code = `
+      mostrar "\\u{48}\\u{6F}\\u{6C}\\u{61} \\u{1F600}"
+    `;
+    const output = run(code);
+    assertEquals(output, ["Hola 😀"], "\\u{...} should insert code points");
+  });
+
+  test("Escapes in template strings", () => {
+    const code = `
+      variable nombre = "Ana"
+      mostrar \`Hola \\\`\${nombre}\\\`\\nPrecio: \\\${total}\`
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["Hola `Ana`\nPrecio: ${total}"],
+      "Template strings should support escaped backticks and dollar signs",
+    );
+  });
+
+  test("Unknown escape sequence reports an error", () => {
+    const result = interpret(`mostrar "hola\\qmundo"`);
+    assertTrue(!result.success, "Unknown escapes should fail");
+    assertTrue(
+      result.error.includes("Secuencia de escape desconocida: \\q"),
+      "Error should show the unknown escape",
+    );
+  });
+
+  test("Invalid unicode escape reports an error", () => {
+    const result = interpret(`mostrar "\\u{ZZ}"`);
+    assertTrue(!result.success, "Malformed \\u escapes should fail");
+    assertTrue(
+      result.error.includes("Secuencia de escape Unicode inválida"),
+      "Error should mention the invalid unicode escape",
+    );
+  });
+
+  // ==================== UBICACIONES EN EL CÓDIGO ====================
+
+  test("Tokens record line and column spans", () => {
+    const Tokenizer = require("../src/tokenizer.js");
+    const tokens = new Tokenizer().tokenize('variable x = 1\n  mostrar "hola"');
+    assertEquals(
+      [tokens[0].line, tokens[0].column, tokens[0].endColumn],
+      [1, 1, 9],
+      "variable should span columns 1-8",
+    );
+    const stringToken = tokens[5];
+    assertEquals(
+      [stringToken.line, stringToken.column, stringToken.endColumn],
+      [2, 11, 17],
+      "The string should start after the indentation",
+    );
+  });
+
+  test("AST nodes carry loc spans", () => {
+    const Tokenizer = require("../src/tokenizer.js");
+    const Parser = require("../src/parser.js");
+    const tokens = new Tokenizer().tokenize("mostrar a + b * 2");
+    const [statement] = new Parser(tokens).parse();
+    assertEquals(
+      statement.loc,
+      { start: { line: 1, column: 1 }, end: { line: 1, column: 18 } },
+      "The statement should cover the whole line",
+    );
+    assertEquals(
+      statement.expression.right.loc,
+      { start: { line: 1, column: 13 }, end: { line: 1, column: 18 } },
+      "b * 2 should have its own span",
+    );
+  });
+
+  test("elegir clauses carry loc spans", () => {
+    const Tokenizer = require("../src/tokenizer.js");
+    const Parser = require("../src/parser.js");
+    const tokens = new Tokenizer().tokenize(
+      "elegir x {\n  caso 1: mostrar 1\n  pordefecto: mostrar 2\n}",
+    );
+    const [statement] = new Parser(tokens).parse();
+    assertEquals(
+      statement.cases[0].loc,
+      { start: { line: 2, column: 3 }, end: { line: 2, column: 20 } },
+      "The caso clause should have its own span",
+    );
+    assertEquals(
+      statement.defaultCase.loc,
+      { start: { line: 3, column: 3 }, end: { line: 3, column: 24 } },
+      "The pordefecto clause should have its own span",
+    );
+  });
+
+  test("Runtime errors report the innermost faulty span", () => {
+    const result = interpret(`variable x = 5\nmostrar x + noexiste * 2`);
+    assertTrue(!result.success, "Undefined variables should fail");
+    assertEquals(
+      result.location,
+      { start: { line: 2, column: 13 }, end: { line: 2, column: 21 } },
+      "The location should point at noexiste",
+    );
+  });
+
+  test("Errors inside template expressions point into the template", () => {
+    const result = interpret("mostrar `total: ${precio}`");
+    assertEquals(
+      result.location.start,
+      { line: 1, column: 19 },
+      "The location should be inside the ${...}",
+    );
+  });
+
+  test("Syntax errors inside template expressions point into the template", () => {
+    const result = interpret("mostrar `valor: ${1 + }`");
+    assertTrue(!result.success, "Incomplete expressions should fail");
+    assertEquals(
+      result.location.start,
+      { line: 1, column: 23 },
+      "The location should be inside the ${...}",
+    );
+    const leftover = interpret("variable a = 1\nmostrar `x ${a b}`");
+    assertTrue(
+      leftover.error.includes(
+        "Se esperaba } después de la expresión de la plantilla",
+      ),
+      "Tokens left over inside ${...} should be reported",
+    );
+    assertEquals(
+      leftover.location.start,
+      { line: 2, column: 16 },
+      "The location should point at the extra token",
+    );
+  });
+
+  test("Syntax and lexical errors report their location", () => {
+    const syntax = interpret("variable = 3");
+    assertEquals(
+      syntax.location.start,
+      { line: 1, column: 10 },
+      "The location should point at the unexpected =",
+    );
+    const lexical = interpret("mostrar 1\nmostrar @");
+    assertEquals(
+      lexical.location.start,
+      { line: 2, column: 9 },
+      "The location should point at the unexpected character",
+    );
+  });
+
+  test("Line numbers restart on every interpretation", () => {
+    interpret("mostrar 1\nmostrar 2\nmostrar 3");
+    const result = interpret("mostrar nada");
+    assertEquals(
+      result.location.start.line,
+      1,
+      "A new program should start at line 1",
+    );
+  });
+
+  // ==================== RECUPERACIÓN DE ERRORES DE SINTAXIS ====================
+
+  test("All syntax errors are reported in one pass", () => {
+    const code = `variable x =
+mostrar "hola"
+mostrar x +* 3
+si x > 1 {
+  mostrar (1 +
+}`;
+    const result = interpret(code);
+    assertTrue(!result.success, "Programs with syntax errors should fail");
+    assertEquals(
+      result.errors.length,
+      3,
+      "Every syntax error should be listed",
+    );
+    assertEquals(
+      result.errors.map((error) => error.location.start),
+      [
+        { line: 2, column: 1 },
+        { line: 3, column: 12 },
+        { line: 6, column: 1 },
+      ],
+      "Each error should have its own line and column",
+    );
+    assertTrue(
+      result.error.startsWith("Se encontraron 3 errores de sintaxis"),
+      "The message should summarize all the errors",
+    );
+  });
+
+  test("Programs with syntax errors do not run", () => {
+    const result = interpret(`variable a = 1
+mostrar "antes"
+mostrar a +`);
+    assertEquals(result.output, [], "Nothing should be shown");
+    assertEquals(
+      getVariables().a,
+      undefined,
+      "Statements before the error should not run",
+    );
+  });
+
+  test("A single syntax error keeps its message", () => {
+    const result = interpret("variable = 3");
+    assertEquals(
+      result.error,
+      "Se esperaba un nombre de variable",
+      "A lone error should be reported as is",
+    );
+    assertEquals(result.errors.length, 1, "There should be one error");
+  });
+
+  test("Parser recovers and returns a partial AST", () => {
+    const Tokenizer = require("../src/tokenizer.js");
+    const Parser = require("../src/parser.js");
+    const code = `funcion f(a, {
+  mostrar a
+}
+clase A {
+  metodo( {
+  }
+}
+mostrar "fin"`;
+    const parser = new Parser(new Tokenizer().tokenize(code));
+    const statements = parser.parse();
+    assertEquals(parser.errors.length, 2, "Both broken declarations fail");
+    assertEquals(
+      statements.map((statement) => statement.type),
+      ["MostrarStatement"],
+      "Broken functions and classes are skipped as a whole",
+    );
+  });
+
+  test("Errors inside blocks do not hide the rest of the block", () => {
+    const code = `funcion f() {
+  variable = 1
+  mostrar "bien"
+  mostrar 2 +
+}`;
+    const result = interpret(code);
+    assertEquals(
+      result.errors.map((error) => error.location.start.line),
+      [2, 5],
+      "Both errors inside the function body should be reported",
+    );
+  });
+
+  // ==================== LANZAR, FINALMENTE Y OBJETOS DE ERROR ====================
+
+  test("lanzar raises an error caught by capturar", () => {
+    const code = `
+      funcion validarEdad(edad) {
+        si edad < 0 {
+          lanzar "La edad no puede ser negativa"
+        }
+        retornar edad
+      }
+      intentar {
+        validarEdad(-5)
+        mostrar "no llega"
+      } capturar (error) {
+        mostrar error.mensaje
+        mostrar "Error: " + error
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["La edad no puede ser negativa", "Error: La edad no puede ser negativa"],
+      "The thrown message should reach capturar",
+    );
+  });
+
+  test("Uncaught lanzar stops the program with its message", () => {
+    const result = interpret(`lanzar "algo salió mal"`);
+    assertTrue(!result.success, "Uncaught errors should fail");
+    assertEquals(result.error, "algo salió mal", "The message should be kept");
+  });
+
+  test("Caught errors have mensaje, tipo, linea and pila", () => {
+    const code = `funcion dividir(a, b) {
+  si b == 0 {
+    lanzar "División entre cero"
+  }
+  retornar a / b
+}
+funcion calcularMedia(total) {
+  retornar dividir(total, 0)
+}
+intentar {
+  calcularMedia(10)
+} capturar (e) {
+  mostrar e.tipo
+  mostrar e.linea
+  mostrar e.pila
+}`;
+    const output = run(code);
+    assertEquals(
+      output,
+      [
+        "Error",
+        "3",
+        "[en dividir (línea 3), en calcularMedia (línea 8), en el programa principal (línea 11)]",
+      ],
+      "The error object should describe where it happened",
+    );
+  });
+
+  test("Runtime errors are caught as error objects", () => {
+    const code = `
+      intentar {
+        variable x = noDefinida + 1
+      } capturar (e) {
+        mostrar \`\${e.mensaje} (línea \${e.linea})\`
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["Variable no definida: noDefinida (línea 3)"],
+      "Interpreter errors should be error objects too",
+    );
+  });
+
+  test("finalmente runs after try and after catch", () => {
+    const code = `
+      intentar {
+        mostrar "intento"
+      } capturar (e) {
+        mostrar "no hay error"
+      } finalmente {
+        mostrar "limpieza 1"
+      }
+      intentar {
+        lanzar "fallo"
+      } capturar (e) {
+        mostrar "capturado: " + e
+      } finalmente {
+        mostrar "limpieza 2"
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["intento", "limpieza 1", "capturado: fallo", "limpieza 2"],
+      "finalmente should always run",
+    );
+  });
+
+  test("finalmente runs on retornar and romper", () => {
+    const code = `
+      funcion leerArchivo() {
+        intentar {
+          retornar "contenido"
+        } finalmente {
+          mostrar "archivo cerrado"
+        }
+      }
+      mostrar leerArchivo()
+      para cada n en [1, 2, 3] {
+        intentar {
+          si n == 2 {
+            romper
+          }
+        } finalmente {
+          mostrar "vuelta " + n
+        }
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["archivo cerrado", "contenido", "vuelta 1", "vuelta 2"],
+      "finalmente should run when leaving the block early",
+    );
+  });
+
+  test("intentar with finalmente only lets the error propagate", () => {
+    const code = `
+      intentar {
+        intentar {
+          lanzar "interno"
+        } finalmente {
+          mostrar "finalmente interno"
+        }
+      } capturar (e) {
+        mostrar "externo: " + e.mensaje
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["finalmente interno", "externo: interno"],
+      "The error should reach the outer capturar after finalmente",
+    );
+  });
+
+  test("retornar inside intentar is not caught as an error", () => {
+    const code = `
+      funcion buscar() {
+        intentar {
+          retornar "encontrado"
+        } capturar (e) {
+          retornar "error"
+        }
+      }
+      mostrar buscar()
+    `;
+    const output = run(code);
+    assertEquals(output, ["encontrado"], "retornar should leave the function");
+  });
+
+  test("Caught errors can be rethrown with lanzar", () => {
+    const code = `
+      intentar {
+        intentar {
+          lanzar "original"
+        } capturar (e) {
+          lanzar e
+        }
+      } capturar (e) {
+        mostrar e.mensaje + " " + e.linea
+      }
+    `;
+    const output = run(code);
+    assertEquals(output, ["original 4"], "Rethrown errors should be unchanged");
+  });
+
+  test("lanzar and finalmente are still valid names", () => {
+    const code = `
+      funcion lanzar(caras) {
+        retornar caras * 2
+      }
+      variable finalmente = lanzar(3)
+      mostrar finalmente
+      intentar {
+        lanzar "dado"
+      } capturar (e) {
+        mostrar e.mensaje
+      } finalmente {
+        mostrar lanzar(1)
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["6", "dado", "2"],
+      "Both words should only be keywords where a statement expects them",
+    );
+  });
+
+  // ==================== CLASES DE ERROR ====================
+
+  test("User error classes extend the built-in Error", () => {
+    const code = `
+      clase ErrorDeValidacion extiende Error {
+        constructor(campo, mensaje) {
+          super(mensaje)
+          este.campo = campo
+        }
+      }
+      intentar {
+        lanzar nuevo ErrorDeValidacion("edad", "La edad no puede ser negativa")
+      } capturar (e) {
+        mostrar e.campo + ": " + e
+        mostrar e.tipo
+        mostrar tipo(e)
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      [
+        "edad: La edad no puede ser negativa",
+        "ErrorDeValidacion",
+        "ErrorDeValidacion",
+      ],
+      "Custom errors should keep their fields and type",
+    );
+  });
+
+  test("Error subclasses without constructor take the message", () => {
+    const code = `
+      clase ErrorDeRed extiende Error {}
+      intentar {
+        lanzar nuevo ErrorDeRed("sin conexión")
+      } capturar (e) {
+        mostrar e.mensaje
+      }
+    `;
+    const output = run(code);
+    assertEquals(output, ["sin conexión"], "The parent constructor should run");
+  });
+
+  test("capturar clauses filter by class in order", () => {
+    const code = `
+      clase ErrorDeValidacion extiende Error {}
+      clase ErrorDeEdad extiende ErrorDeValidacion {}
+      clase ErrorDeRed extiende Error {}
+      funcion probar(error) {
+        intentar {
+          lanzar error
+        } capturar (e: ErrorDeValidacion) {
+          mostrar "validación: " + e
+        } capturar (e: ErrorDeRed) {
+          mostrar "red: " + e
+        } capturar (e) {
+          mostrar "otro: " + e
+        }
+      }
+      probar(nuevo ErrorDeEdad("edad inválida"))
+      probar(nuevo ErrorDeRed("sin conexión"))
+      probar("falló algo")
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["validación: edad inválida", "red: sin conexión", "otro: falló algo"],
+      "The first matching clause should handle the error",
+    );
+  });
+
+  test("Errors no clause matches keep propagating", () => {
+    const code = `
+      clase ErrorDeValidacion extiende Error {}
+      intentar {
+        intentar {
+          variable x = noExiste
+        } capturar (e: ErrorDeValidacion) {
+          mostrar "no debería capturarse aquí"
+        } finalmente {
+          mostrar "finalmente"
+        }
+      } capturar (e: Error) {
+        mostrar "externo: " + e.tipo
+      }
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["finalmente", "externo: Error"],
+      "Interpreter errors are Error instances caught further out",
+    );
+  });
+
+  test("Only texts and Error instances can be thrown", () => {
+    const result = interpret(`
+      clase Punto {}
+      lanzar nuevo Punto()
+    `);
+    assertTrue(!result.success, "Throwing a plain instance should fail");
+    assertTrue(
+      result.error.includes("instancias de Error"),
+      "The error should explain what can be thrown",
+    );
+  });
+
+  test("A capturar without class must be the last one", () => {
+    const result = interpret(`
+      intentar {
+        lanzar "x"
+      } capturar (e) {
+        mostrar e
+      } capturar (e: Error) {
+        mostrar e
+      }
+    `);
+    assertTrue(
+      result.error.includes("Un capturar sin clase debe ser el último"),
+      "A catch-all before other clauses should be a syntax error",
+    );
+  });
+
+  // ==================== HERENCIA DE VARIOS NIVELES ====================
+
+  test("Methods are found through the whole superclass chain", () => {
+    const code = `
+      clase Animal {
+        constructor(nombre) {
+          este.nombre = nombre
+        }
+        respirar() {
+          retornar este.nombre + " respira"
+        }
+      }
+      clase Mamifero extiende Animal {
+        amamantar() {
+          retornar este.nombre + " amamanta"
+        }
+      }
+      clase Perro extiende Mamifero {
+        ladrar() {
+          retornar este.nombre + " ladra"
+        }
+      }
+      variable rex = nuevo Perro("Rex")
+      mostrar rex.respirar()
+      mostrar rex.amamantar()
+      mostrar rex.ladrar()
+      variable accion = rex.respirar
+      mostrar accion()
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["Rex respira", "Rex amamanta", "Rex ladra", "Rex respira"],
+      "Grandparent methods should be available",
+    );
+  });
+
+  test("super.metodo() calls the overridden implementation", () => {
+    const code = `
+      clase Animal {
+        constructor(nombre) {
+          este.nombre = nombre
+        }
+        describir() {
+          retornar este.nombre + " es un animal"
+        }
+      }
+      clase Mamifero extiende Animal {
+        describir() {
+          retornar super.describir() + " mamífero"
+        }
+      }
+      clase Perro extiende Mamifero {
+        constructor(nombre, raza) {
+          super(nombre)
+          este.raza = raza
+        }
+        describir() {
+          retornar super.describir() + " de raza " + este.raza
+        }
+      }
+      mostrar nuevo Perro("Rex", "labrador").describir()
+      mostrar nuevo Mamifero("Tom").describir()
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      [
+        "Rex es un animal mamífero de raza labrador",
+        "Tom es un animal mamífero",
+      ],
+      "Each level should call its own parent's version",
+    );
+  });
+
+  test("Constructors are inherited from the closest ancestor", () => {
+    const code = `
+      clase Figura {
+        constructor(nombre) {
+          este.nombre = nombre
+        }
+      }
+      clase Poligono extiende Figura {}
+      clase Cuadrado extiende Poligono {}
+      mostrar nuevo Cuadrado("cuadrado").nombre
+    `;
+    const output = run(code);
+    assertEquals(output, ["cuadrado"], "Figura's constructor should run");
+  });
+
+  test("super() reaches a grandparent constructor", () => {
+    const code = `
+      clase A {
+        constructor(valor) {
+          este.valor = valor
+        }
+      }
+      clase B extiende A {}
+      clase C extiende B {
+        constructor(valor) {
+          super(valor * 2)
+        }
+      }
+      mostrar nuevo C(21).valor
+    `;
+    const output = run(code);
+    assertEquals(output, ["42"], "super() should find A's constructor");
+  });
+
+  test("super.metodo() errors are clear", () => {
+    const missing = interpret(`
+      clase A {}
+      clase B extiende A {
+        hablar() {
+          retornar super.hablar()
+        }
+      }
+      nuevo B().hablar()
+    `);
+    assertTrue(
+      missing.error.includes(
+        "Método 'hablar' no encontrado en la clase padre 'A'",
+      ),
+      "Missing parent methods should be reported",
+    );
+    const noParent = interpret(`
+      clase A {
+        hablar() {
+          retornar super.hablar()
+        }
+      }
+      nuevo A().hablar()
+    `);
+    assertTrue(
+      noParent.error.includes("clases que extienden otra clase"),
+      "super without a parent class should fail",
+    );
+  });
+
+  test("Unknown parent classes fail when the class is declared", () => {
+    const result = interpret(`
+      clase Hijo extiende Desconocida {}
+    `);
+    assertEquals(
+      result.error,
+      "Clase padre 'Desconocida' no encontrada",
+      "The parent class should be checked at declaration",
+    );
+  });
+
+  // ==================== MIEMBROS ESTÁTICOS ====================
+
+  test("Static methods are called on the class", () => {
+    const code = `
+      clase Matematica {
+        estatico cuadrado(x) {
+          retornar x * x
+        }
+        estático cubo(x) {
+          retornar x * Matematica.cuadrado(x)
+        }
+      }
+      mostrar Matematica.cuadrado(3)
+      mostrar Matematica.cubo(2)
+      variable f = Matematica.cuadrado
+      mostrar f(5)
+    `;
+    const output = run(code);
+    assertEquals(output, ["9", "8", "25"], "Static methods should work");
+  });
+
+  test("Static fields keep shared state", () => {
+    const code = `
+      clase Contador {
+        estatico total = 0
+        constructor() {
+          Contador.total++
+        }
+      }
+      nuevo Contador()
+      nuevo Contador()
+      Contador.total += 10
+      mostrar Contador.total
+    `;
+    const output = run(code);
+    assertEquals(output, ["12"], "Every instance should update the same field");
+  });
+
+  test("Static constants cannot be reassigned", () => {
+    const code = `
+      clase Config {
+        estatico constante MAXIMO = 100
+        estatico constante DOBLE = Config.MAXIMO * 2
+      }
+      mostrar Config.DOBLE
+      Config.MAXIMO = 5
+    `;
+    const result = interpret(code);
+    assertTrue(!result.success, "Reassigning a static constant should fail");
+    assertEquals(
+      result.error,
+      "No se puede reasignar la constante estática: Config.MAXIMO",
+      "The error should name the constant",
+    );
+  });
+
+  test("Static members are inherited and can be shadowed", () => {
+    const code = `
+      clase Vehiculo {
+        estatico ruedas = 4
+        estatico creados = 0
+        estatico describir() {
+          retornar "vehículo"
+        }
+      }
+      clase Moto extiende Vehiculo {
+        estatico ruedas = 2
+        estatico describir() {
+          retornar "moto, un " + super.describir()
+        }
+      }
+      Moto.creados++
+      mostrar Moto.ruedas
+      mostrar Vehiculo.ruedas
+      mostrar Vehiculo.creados
+      mostrar Moto.describir()
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["2", "4", "1", "moto, un vehículo"],
+      "Subclasses should inherit, share and shadow static members",
+    );
+  });
+
+  test("Assigning an inherited static field updates the declaring class", () => {
+    const code = `
+      clase A {
+        estatico n = 1
+        estatico m = 1
+      }
+      clase B extiende A {
+        estatico m = 2
+      }
+      B.n = 5
+      B.m = 7
+      mostrar A.n
+      mostrar B.n
+      mostrar A.m
+      mostrar B.m
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["5", "5", "1", "7"],
+      "Inherited fields are shared; redeclared ones belong to the subclass",
+    );
+  });
+
+  test("estatico is still a valid name", () => {
+    const code = `
+      clase Tipo {
+        estatico estatico = "sí"
+        estatico() {
+          retornar Tipo.estatico
+        }
+      }
+      variable estatico = nuevo Tipo().estatico()
+      mostrar estatico
+    `;
+    const output = run(code);
+    assertEquals(
+      output,
+      ["sí"],
+      "estatico should only be a keyword before a class member",
+    );
+  });
+
+  test("Unknown static members report an error", () => {
+    const result = interpret(`
+      clase Vacia {}
+      mostrar Vacia.nada
+    `);
+    assertEquals(
+      result.error,
+      "La clase 'Vacia' no tiene un miembro estático 'nada'",
+      "Missing static members should be reported",
+    );
+  });
+
+  test("Compound assignment and increment work on instance properties", () => {
+    const code = `
+      clase Cuenta {
+        constructor(saldo) {
+          este.saldo = saldo
+        }
+      }
+      variable c = nuevo Cuenta(100)
+      c.saldo += 50
+      c.saldo++
+      mostrar c.saldo
+    `;
+    const output = run(code);
+    assertEquals(output, ["151"], "Instance properties should be updated");
+  });
+
+  // ==================== PROPIEDADES CON OBTENER Y ESTABLECER ====================
+
+  test("Obtener: propiedad calculada sin paréntesis", () => {
+    const output = run(`
+      clase Rectangulo {
+        constructor(ancho, alto) {
+          este.ancho = ancho
+          este.alto = alto
+        }
+        obtener area() {
+          retornar este.ancho * este.alto
+        }
+      }
+      variable r = nuevo Rectangulo(3, 4)
+      mostrar r.area
+      r.ancho = 5
+      mostrar r.area
+    `);
+    assertEquals(output, ["12", "20"]);
+  });
+
+  test("Establecer: valida el valor asignado", () => {
+    const output = run(`
+      clase Persona {
+        constructor() {
+          este.valorEdad = 0
+        }
+        obtener edad() {
+          retornar este.valorEdad
+        }
+        establecer edad(v) {
+          si v >= 0 {
+            este.valorEdad = v
+          }
+        }
+      }
+      variable p = nuevo Persona()
+      p.edad = 30
+      p.edad = -5
+      mostrar p.edad
+    `);
+    assertEquals(output, ["30"]);
+  });
+
+  test("Obtener/establecer: +=, ++ y este.propiedad", () => {
+    const output = run(`
+      clase Contador {
+        constructor() {
+          este.valor = 0
+        }
+        obtener cuenta() {
+          retornar este.valor
+        }
+        establecer cuenta(v) {
+          este.valor = v
+        }
+        avanzar() {
+          este.cuenta += 10
+          este.cuenta++
+        }
+      }
+      variable c = nuevo Contador()
+      c.cuenta += 5
+      c.cuenta++
+      mostrar c.cuenta
+      c.avanzar()
+      mostrar c.cuenta
+    `);
+    assertEquals(output, ["6", "17"]);
+  });
+
+  test("Obtener/establecer: se heredan y conviven con un método obtener()", () => {
+    const output = run(`
+      clase Figura {
+        obtener nombre() {
+          retornar "figura " + este.lados
+        }
+        obtener() {
+          retornar "método"
+        }
+      }
+      clase Triangulo extiende Figura {
+        constructor() {
+          este.lados = 3
+        }
+      }
+      variable t = nuevo Triangulo()
+      mostrar t.nombre
+      mostrar t.obtener()
+    `);
+    assertEquals(output, ["figura 3", "método"]);
+  });
+
+  test("Obtener/establecer: errores de solo lectura y solo escritura", () => {
+    const clase = `
+      clase Circulo {
+        obtener diametro() {
+          retornar 2
+        }
+        establecer radio(v) {
+          este.r = v
+        }
+      }
+      variable c = nuevo Circulo()
+    `;
+    const lectura = interpret(clase + "c.diametro = 5");
+    assertTrue(
+      lectura.error.includes(
+        "La propiedad 'diametro' de 'Circulo' es de solo lectura",
+      ),
+    );
+    const escritura = interpret(clase + "mostrar c.radio");
+    assertTrue(
+      escritura.error.includes(
+        "La propiedad 'radio' de 'Circulo' solo se puede establecer",
+      ),
+    );
+  });
+
+  // ==================== MIEMBROS PRIVADOS ====================
+
+  test("Privados: campos y métodos con # dentro de la clase", () => {
+    const output = run(`
+      clase Cuenta {
+        constructor(saldo) {
+          este.#saldo = saldo
+        }
+        obtener saldo() {
+          retornar este.#saldo
+        }
+        retirar(cantidad) {
+          si este.#puedeRetirar(cantidad) {
+            este.#saldo -= cantidad
+          }
+        }
+        #puedeRetirar(cantidad) {
+          retornar cantidad <= este.#saldo
+        }
+      }
+      variable c = nuevo Cuenta(100)
+      c.retirar(30)
+      c.retirar(500)
+      mostrar c.saldo
+    `);
+    assertEquals(output, ["70"]);
+  });
+
+  test("Privados: ++ y += sobre este.#campo", () => {
+    const output = run(`
+      clase Contador {
+        constructor() {
+          este.#n = 0
+        }
+        avanzar() {
+          este.#n++
+          este.#n += 10
+          retornar este.#n
+        }
+      }
+      variable c = nuevo Contador()
+      c.avanzar()
+      mostrar c.avanzar()
+    `);
+    assertEquals(output, ["22"]);
+  });
+
+  test("Privados: acceso desde fuera es un error", () => {
+    const result = interpret(`
+      clase Cuenta {
+        constructor() {
+          este.#saldo = 5
+        }
+      }
+      variable c = nuevo Cuenta()
+      mostrar c.#saldo
+    `);
+    assertTrue(
+      result.error.includes(
+        "El miembro privado '#saldo' solo se puede usar como este.#saldo dentro de su clase",
+      ),
+    );
+  });
+
+  test("Privados: una subclase no accede a los de su padre", () => {
+    const result = interpret(`
+      clase Cuenta {
+        constructor() {
+          este.#saldo = 5
+        }
+      }
+      clase Ahorro extiende Cuenta {
+        espiar() {
+          retornar este.#saldo
+        }
+      }
+      variable a = nuevo Ahorro()
+      a.espiar()
+    `);
+    assertTrue(
+      result.error.includes(
+        "El miembro privado '#saldo' solo es accesible dentro de la clase 'Cuenta'",
+      ),
+    );
+  });
+
+  test("Privados: cada clase guarda sus propios campos", () => {
+    const output = run(`
+      clase Base {
+        constructor() {
+          este.#id = "base"
+        }
+        idBase() {
+          retornar este.#id
+        }
+      }
+      clase Hija extiende Base {
+        constructor() {
+          super()
+          este.#id = "hija"
+        }
+        idHija() {
+          retornar este.#id
+        }
+      }
+      variable h = nuevo Hija()
+      mostrar h.idBase()
+      mostrar h.idHija()
+    `);
+    assertEquals(output, ["base", "hija"]);
+  });
+
+  // ==================== CLASES ABSTRACTAS E INTERFACES ====================
+
+  test("Abstractas: la subclase implementa el método abstracto", () => {
+    const output = run(`
+      clase abstracta Figura {
+        abstracto area()
+        describir() {
+          retornar "área " + este.area()
+        }
+      }
+      clase Cuadrado extiende Figura {
+        constructor(lado) {
+          este.lado = lado
+        }
+        area() {
+          retornar este.lado * este.lado
+        }
+      }
+      mostrar nuevo Cuadrado(3).describir()
+    `);
+    assertEquals(output, ["área 9"]);
+  });
+
+  test("Abstractas: no se pueden instanciar", () => {
+    const result = interpret(`
+      clase abstracta Figura {
+        abstracto area()
+      }
+      nuevo Figura()
+    `);
+    assertTrue(
+      result.error.includes(
+        "No se puede crear una instancia de la clase abstracta 'Figura'",
+      ),
+    );
+  });
+
+  test("Abstractas: falta implementar un método abstracto", () => {
+    const result = interpret(`
+      clase abstracta Figura {
+        abstracto area()
+      }
+      clase Circulo extiende Figura {
+      }
+    `);
+    assertTrue(
+      result.error.includes(
+        "La clase 'Circulo' debe implementar el método abstracto 'area' de 'Figura'",
+      ),
+    );
+  });
+
+  test("Interfaces: implementa varias interfaces y herencia de interfaces", () => {
+    const output = run(`
+      interfaz Comparable {
+        comparar(otro)
+      }
+      interfaz Nombrable {
+        nombre()
+      }
+      interfaz Ordenable extiende Comparable {
+      }
+      clase Punto implementa Ordenable, Nombrable {
+        constructor(x) {
+          este.x = x
+        }
+        comparar(otro) {
+          retornar este.x - otro.x
+        }
+        nombre() {
+          retornar "P" + este.x
+        }
+      }
+      variable p = nuevo Punto(5)
+      mostrar p.comparar(nuevo Punto(2))
+      mostrar p.nombre()
+      mostrar tipo(Comparable)
+    `);
+    assertEquals(output, ["3", "P5", "interfaz"]);
+  });
+
+  test("Interfaces: método sin implementar o con otros parámetros", () => {
+    const falta = interpret(`
+      interfaz Comparable {
+        comparar(otro)
+      }
+      clase Punto implementa Comparable {
+      }
+    `);
+    assertTrue(
+      falta.error.includes(
+        "La clase 'Punto' debe implementar el método 'comparar' de la interfaz 'Comparable'",
+      ),
+    );
+    const parametros = interpret(`
+      interfaz Comparable {
+        comparar(otro)
+      }
+      clase Punto implementa Comparable {
+        comparar() {
+          retornar 0
+        }
+      }
+    `);
+    assertTrue(
+      parametros.error.includes(
+        "El método 'comparar' de 'Punto' debe recibir 1 parámetros, como indica 'Comparable'",
+      ),
+    );
+  });
+
+  test("Interfaces: parámetros por defecto y resto en la implementación", () => {
+    const output = run(`
+      interfaz Registro {
+        anotar(mensaje)
+      }
+      clase Consola implementa Registro {
+        anotar(mensaje, nivel = "info") {
+          retornar nivel + ": " + mensaje
+        }
+      }
+      clase Lista implementa Registro {
+        anotar(...mensajes) {
+          retornar mensajes.longitud
+        }
+      }
+      mostrar nuevo Consola().anotar("hola")
+      mostrar nuevo Lista().anotar("a", "b")
+    `);
+    assertEquals(output, ["info: hola", "2"]);
+    const obligatorio = interpret(`
+      interfaz Registro {
+        anotar(mensaje)
+      }
+      clase Archivo implementa Registro {
+        anotar(mensaje, ruta) {
+          retornar ruta
+        }
+      }
+    `);
+    assertTrue(
+      obligatorio.error.includes(
+        "El método 'anotar' de 'Archivo' debe recibir 1 parámetros, como indica 'Registro'",
+      ),
+    );
+  });
+
+  test("Interfaces: errores de declaración", () => {
+    const abstractoEnConcreta = interpret(`
+      clase Figura {
+        abstracto area()
+      }
+    `);
+    assertTrue(
+      abstractoEnConcreta.error.includes(
+        "El método abstracto 'area' solo puede declararse en una clase abstracta",
+      ),
+    );
+    const extiendeInterfaz = interpret(`
+      interfaz Comparable {
+        comparar(otro)
+      }
+      clase Punto extiende Comparable {
+      }
+    `);
+    assertTrue(
+      extiendeInterfaz.error.includes(
+        "'Comparable' es una interfaz; usa 'implementa' en lugar de 'extiende'",
+      ),
+    );
+  });
+
+  test("Interfaces: abstracta, abstracto e interfaz siguen siendo nombres válidos", () => {
+    const output = run(`
+      variable interfaz = "consola"
+      variable abstracta = 1
+      clase Arte {
+        abstracto() {
+          retornar "cubismo"
+        }
+      }
+      funcion abstracto(x) {
+        retornar x + abstracta
+      }
+      mostrar interfaz
+      mostrar nuevo Arte().abstracto()
+      mostrar abstracto(1)
+    `);
+    assertEquals(output, ["consola", "cubismo", "2"]);
+  });
+
+  test("Interfaces: implementa sigue siendo un nombre válido", () => {
+    const output = run(`
+      interfaz Nombrable {
+        nombre()
+      }
+      clase Perro implementa Nombrable {
+        nombre() {
+          retornar "Rex"
+        }
+      }
+      variable implementa = nuevo Perro()
+      mostrar implementa.nombre()
+    `);
+    assertEquals(output, ["Rex"]);
+  });
+
+  // ==================== MÉTODOS ESPECIALES ====================
+
+  const fraccion = `
+    clase Fraccion {
+      constructor(n, d) {
+        este.n = n
+        este.d = d
+      }
+      aTexto() {
+        retornar este.n + "/" + este.d
+      }
+      esIgual(otro) {
+        retornar este.n * otro.d == otro.n * este.d
+      }
+      comparar(otro) {
+        retornar este.n * otro.d - otro.n * este.d
+      }
+    }
+    variable medio = nuevo Fraccion(1, 2)
+    variable tresCuartos = nuevo Fraccion(3, 4)
+  `;
+
+  test("aTexto: mostrar, plantillas, concatenación y texto()", () => {
+    const output = run(
+      fraccion +
+        `
+      mostrar medio
+      mostrar \`valor: \${tresCuartos}\`
+      mostrar "x = " + medio
+      mostrar texto(tresCuartos)
+      mostrar [medio, tresCuartos]
+    `,
+    );
+    assertEquals(output, ["1/2", "valor: 3/4", "x = 1/2", "3/4", "[1/2, 3/4]"]);
+  });
+
+  test("esIgual: ==, != y elegir", () => {
+    const output = run(
+      fraccion +
+        `
+      mostrar medio == nuevo Fraccion(2, 4)
+      mostrar medio != tresCuartos
+      elegir nuevo Fraccion(3, 6) {
+        caso medio: mostrar "un medio"
+        pordefecto: mostrar "otro"
+      }
+    `,
+    );
+    assertEquals(output, ["true", "true", "un medio"]);
+  });
+
+  test("esIgual: contiene e incluye en arreglos", () => {
+    const output = run(
+      fraccion +
+        `
+      variable lista = [medio, tresCuartos]
+      mostrar lista.contiene(nuevo Fraccion(6, 8))
+      mostrar lista.incluye(nuevo Fraccion(1, 3))
+      mostrar [1, 2, 3].incluye(2)
+    `,
+    );
+    assertEquals(output, ["true", "false", "true"]);
+  });
+
+  test("comparar: operadores relacionales y ordenar()", () => {
+    const output = run(
+      fraccion +
+        `
+      mostrar medio < tresCuartos
+      mostrar medio >= nuevo Fraccion(2, 4)
+      mostrar tresCuartos <= medio
+      mostrar [tresCuartos, nuevo Fraccion(1, 8), medio].ordenar()
+    `,
+    );
+    assertEquals(output, ["true", "true", "false", "[1/8, 1/2, 3/4]"]);
+  });
+
+  test("Métodos especiales: errores de tipo en el resultado", () => {
+    const texto = interpret(`
+      clase Raro {
+        aTexto() {
+          retornar 5
+        }
+      }
+      mostrar nuevo Raro()
+    `);
+    assertTrue(
+      texto.error.includes(
+        "El método aTexto() de 'Raro' debe retornar un texto",
+      ),
+    );
+    const orden = interpret(`
+      clase Raro {
+        comparar(otro) {
+          retornar "antes"
+        }
+      }
+      mostrar nuevo Raro() < nuevo Raro()
+    `);
+    assertTrue(
+      orden.error.includes(
+        "El método comparar() de 'Raro' debe retornar un número",
+      ),
+    );
+  });
+
+  // ==================== SOBRECARGA DE OPERADORES ====================
+
+  const vector = `
+    clase Vector {
+      constructor(x, y) {
+        este.x = x
+        este.y = y
+      }
+      sumar(otro) {
+        retornar nuevo Vector(este.x + otro.x, este.y + otro.y)
+      }
+      restar(otro) {
+        retornar nuevo Vector(este.x - otro.x, este.y - otro.y)
+      }
+      multiplicar(k) {
+        retornar nuevo Vector(este.x * k, este.y * k)
+      }
+      negar() {
+        retornar nuevo Vector(-este.x, -este.y)
+      }
+      aTexto() {
+        retornar "(" + este.x + ", " + este.y + ")"
+      }
+    }
+    variable a = nuevo Vector(1, 2)
+    variable b = nuevo Vector(3, 4)
+  `;
+
+  test("Operadores: +, -, * y - unario sobre instancias", () => {
+    const output = run(
+      vector +
+        `
+      mostrar a + b
+      mostrar b - a
+      mostrar a * 3
+      mostrar -a
+    `,
+    );
+    assertEquals(output, ["(4, 6)", "(2, 2)", "(3, 6)", "(-1, -2)"]);
+  });
+
+  test("Operadores: asignaciones compuestas", () => {
+    const output = run(
+      vector +
+        `
+      a += b
+      a -= nuevo Vector(1, 1)
+      a *= 2
+      mostrar a
+    `,
+    );
+    assertEquals(output, ["(6, 10)"]);
+  });
+
+  test("Operadores: instancia a la derecha", () => {
+    const output = run(
+      vector +
+        `
+      mostrar 3 * a
+      mostrar "vector " + a
+      variable k = 2
+      k *= b
+      mostrar k
+    `,
+    );
+    assertEquals(output, ["(3, 6)", "vector (1, 2)", "(6, 8)"]);
+    const resta = interpret(vector + "mostrar 1 - a");
+    assertTrue(
+      resta.error.includes(
+        "El operador - usa el método restar() del operando izquierdo",
+      ),
+      resta.error,
+    );
+    const suma = interpret(`
+      clase Punto {
+      }
+      mostrar 1 + nuevo Punto()
+    `);
+    assertTrue(
+      suma.error.includes(
+        "La clase 'Punto' no define el método sumar() para el operador +",
+      ),
+    );
+    const division = interpret(vector + "mostrar 2 / a");
+    assertTrue(
+      division.error.includes(
+        "La clase 'Vector' no define el método dividir() para el operador /",
+      ),
+    );
+  });
+
+  test("Operadores: + sin sumar() concatena con aTexto()", () => {
+    const output = run(`
+      clase Moneda {
+        constructor(valor) {
+          este.valor = valor
+        }
+        aTexto() {
+          retornar "$" + este.valor
+        }
+      }
+      variable m = nuevo Moneda(5)
+      mostrar m + " en total"
+      variable t = "Precio: "
+      t += m
+      mostrar t
+    `);
+    assertEquals(output, ["$5 en total", "Precio: $5"]);
+  });
+
+  test("Operadores: error si la clase no define el método", () => {
+    const division = interpret(vector + "mostrar a / 2");
+    assertTrue(
+      division.error.includes(
+        "La clase 'Vector' no define el método dividir() para el operador /",
+      ),
+    );
+    const negacion = interpret(`
+      clase Punto {
+      }
+      mostrar -nuevo Punto()
+    `);
+    assertTrue(
+      negacion.error.includes(
+        "La clase 'Punto' no define el método negar() para el operador -",
+      ),
+    );
+    const suma = interpret(`
+      clase Punto {
+      }
+      mostrar nuevo Punto() + 1
+    `);
+    assertTrue(
+      suma.error.includes(
+        "La clase 'Punto' no define el método sumar() para el operador +",
+      ),
+    );
+    const sumaCompuesta = interpret(`
+      clase Punto {
+      }
+      variable p = nuevo Punto()
+      p += [1]
+    `);
+    assertTrue(
+      sumaCompuesta.error.includes(
+        "La clase 'Punto' no define el método sumar() para el operador +",
+      ),
+    );
+  });
+
+  // ==================== ENUMERACIONES ====================
+
+  test("Enumeraciones: valores con nombre, comparables e imprimibles", () => {
+    const output = run(`
+      enumeracion Color { ROJO, VERDE, AZUL }
+      variable c = Color.VERDE
+      mostrar c
+      mostrar \`color: \${c}\`
+      mostrar c == Color.VERDE
+      mostrar c != Color.ROJO
+      mostrar Color.ROJO < Color.AZUL
+      mostrar tipo(c)
+      mostrar Color
+    `);
+    assertEquals(output, [
+      "VERDE",
+      "color: VERDE",
+      "true",
+      "true",
+      "true",
+      "Color",
+      "Color { ROJO, VERDE, AZUL }",
+    ]);
+  });
+
+  test("Enumeraciones: valores asociados, nombre e indice", () => {
+    const output = run(`
+      enumeración Color {
+        ROJO = "#f00",
+        VERDE = "#0f0",
+      }
+      mostrar Color.VERDE.valor
+      mostrar Color.VERDE.nombre
+      mostrar Color.VERDE.indice
+    `);
+    assertEquals(output, ["#0f0", "VERDE", "1"]);
+  });
+
+  test("Enumeraciones: elegir/caso y para cada", () => {
+    const output = run(`
+      enumeracion Semaforo { ROJO, AMARILLO, VERDE }
+      para cada luz en Semaforo {
+        elegir luz {
+          caso Semaforo.ROJO: mostrar "parar"
+          caso Semaforo.VERDE: mostrar "avanzar"
+          pordefecto: mostrar "precaución"
+        }
+      }
+      mostrar Semaforo.valores().longitud()
+    `);
+    assertEquals(output, ["parar", "precaución", "avanzar", "3"]);
+  });
+
+  test("Enumeraciones: enumeracion sigue siendo un nombre válido", () => {
+    const output = run(`
+      enumeracion Talla { S, M }
+      variable enumeracion = Talla.valores()
+      mostrar enumeracion.longitud
+    `);
+    assertEquals(output, ["2"]);
+  });
+
+  test("Enumeraciones: errores", () => {
+    const inexistente = interpret(`
+      enumeracion Color { ROJO }
+      mostrar Color.NEGRO
+    `);
+    assertTrue(
+      inexistente.error.includes(
+        "La enumeración 'Color' no tiene el valor 'NEGRO'",
+      ),
+    );
+    const modificar = interpret(`
+      enumeracion Color { ROJO }
+      Color.ROJO = 5
+    `);
+    assertTrue(
+      modificar.error.includes("No se puede modificar la enumeración 'Color'"),
+    );
+    const repetido = interpret("enumeracion Color { ROJO, ROJO }");
+    assertTrue(
+      repetido.error.includes(
+        "El valor 'ROJO' está repetido en la enumeración 'Color'",
+      ),
+    );
+  });
+
+  // ==================== MÓDULOS ====================
+
+  /**
+   * Creates an interpreter whose modules are served from memory
+   * @param {Object} files - Module paths and their code
+   * @returns {Object} Interpreter
+   */
+  function interpreterWithModules(files) {
+    const Interpreter = require("../src/interpreter.js");
+    return new Interpreter({
+      resolveModule: (ruta) =>
+        ruta in files ? { path: ruta, source: files[ruta] } : null,
+    });
+  }
+
+  test("Módulos: importar funciones, constantes, clases y enumeraciones", () => {
+    const interpreter = interpreterWithModules({
+      geometria: `
+        exportar constante PI = 3
+        exportar funcion area(r) {
+          retornar PI * r * r
+        }
+        exportar clase Punto {
+          constructor(x) {
+            este.x = x
+          }
+        }
+        exportar enumeracion Forma { CIRCULO, CUADRADO }
+      `,
+    });
+    const result = interpreter.interpret(`
+      importar { area, PI, Punto, Forma } desde "geometria"
+      mostrar area(2)
+      mostrar nuevo Punto(PI).x
+      mostrar Forma.CUADRADO
+    `);
+    assertEquals(result.output, ["12", "3", "CUADRADO"]);
+  });
+
+  test("Módulos: cada módulo se ejecuta una sola vez y tiene su propio ámbito", () => {
+    const interpreter = interpreterWithModules({
+      contador: `
+        variable interno = "privado"
+        exportar variable total = 1
+        mostrar "cargando contador"
+      `,
+      a: `
+        importar { total } desde "contador"
+        exportar variable desdeA = total + 1
+      `,
+    });
+    const result = interpreter.interpret(`
+      importar { desdeA } desde "a"
+      importar { total } desde "contador"
+      mostrar desdeA + total
+      mostrar interno
+    `);
+    assertTrue(result.error.includes("interno"));
+    const ok = interpreter.interpret(`
+      importar { desdeA } desde "a"
+      importar { total } desde "contador"
+      mostrar desdeA + total
+    `);
+    assertEquals(ok.output, ["cargando contador", "3"]);
+  });
+
+  test("Módulos: detecta importaciones circulares", () => {
+    const interpreter = interpreterWithModules({
+      a: `importar { b } desde "b"
+        exportar variable a = 1`,
+      b: `importar { a } desde "a"
+        exportar variable b = 2`,
+    });
+    const result = interpreter.interpret(`importar { a } desde "a"`, {
+      path: "principal",
+    });
+    assertTrue(
+      result.error.includes("Importación circular: a → b → a"),
+      result.error,
+    );
+  });
+
+  test("Módulos: errores al importar", () => {
+    const interpreter = interpreterWithModules({
+      utilidades: `exportar funcion doble(x) {
+        retornar x * 2
+      }
+      funcion interna() {
+        retornar 1
+      }`,
+      roto: `exportar funcion (`,
+    });
+    assertTrue(
+      interpreter
+        .interpret(`importar { interna } desde "utilidades"`)
+        .error.includes("El módulo 'utilidades' no exporta 'interna'"),
+    );
+    assertTrue(
+      interpreter
+        .interpret(`importar { x } desde "nada"`)
+        .error.includes("No se encontró el módulo 'nada'"),
+    );
+    assertTrue(
+      interpreter
+        .interpret(`importar { x } desde "roto"`)
+        .error.includes("Error de sintaxis en el módulo 'roto'"),
+    );
+    const anidado = interpret(`si verdadero {
+      importar { doble } desde "utilidades"
+    }`);
+    assertTrue(
+      anidado.error.includes(
+        "importar solo se puede usar fuera de bloques y funciones",
+      ),
+    );
+  });
+
+  test("Módulos: los errores en un módulo indican el archivo", () => {
+    const interpreter = interpreterWithModules({
+      mates: `exportar funcion dividir(a, b) {
+        retornar a / b
+      }`,
+    });
+    const result = interpreter.interpret(`
+      importar { dividir } desde "mates"
+      mostrar dividir(1, 0)
+    `);
+    assertEquals(
+      result.error,
+      "División por cero (en el módulo 'mates', línea 2)",
+    );
+    assertEquals(result.location, null);
+  });
+
+  test("Módulos: rutas relativas al archivo que importa", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hispano-"));
+    try {
+      fs.mkdirSync(path.join(dir, "lib"));
+      fs.writeFileSync(
+        path.join(dir, "lib", "saludo.hl"),
+        `importar { nombre } desde "./nombre"
+        exportar funcion saludar() {
+          retornar "Hola " + nombre
+        }`,
+      );
+      fs.writeFileSync(
+        path.join(dir, "lib", "nombre.hl"),
+        `exportar constante nombre = "Ana"`,
+      );
+      const result = interpret(
+        `importar { saludar } desde "./lib/saludo.hl"
+        mostrar saludar()`,
+        { path: path.join(dir, "principal.hl") },
+      );
+      assertEquals(result.output, ["Hola Ana"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("Módulos: importar y exportar siguen siendo nombres válidos", () => {
+    const output = run(`
+      funcion exportar(datos) {
+        retornar "csv:" + datos
+      }
+      variable importar = exportar("a")
+      mostrar importar
+    `);
+    assertEquals(output, ["csv:a"]);
+    assertTrue(
+      interpret("exportar total").error.includes(
+        "Solo se pueden exportar variables, constantes, funciones, clases, interfaces y enumeraciones",
+      ),
+    );
+  });
+
+  test("Módulos: desde sigue siendo un nombre válido", () => {
+    const interpreter = interpreterWithModules({
+      limites: `exportar variable desde = 2`,
+    });
+    const result = interpreter.interpret(`
+      importar { desde } desde "limites"
+      para i desde desde hasta 3 {
+        mostrar i
+      }
+      variable { desde: inicio } = { desde: 5 }
+      mostrar inicio
+    `);
+    assertEquals(result.output, ["2", "3", "5"]);
+  });
+
+  // ==================== DESESTRUCTURACIÓN ====================
+
+  test("Desestructuración: arreglos, anidados y valores por defecto", () => {
+    const output = run(`
+      variable [a, b] = [1, 2]
+      mostrar a + b
+      constante [x, [y, z], , w = 9] = [1, [2, 3], 4]
+      mostrar x + y + z + w
+      variable [p, q = p * 10] = [5]
+      mostrar q
+    `);
+    assertEquals(output, ["3", "15", "50"]);
+  });
+
+  test("Desestructuración: objetos, renombrar y valores por defecto", () => {
+    const output = run(`
+      variable persona = { nombre: "Ana", edad: 30, direccion: { ciudad: "Lima" } }
+      variable { nombre, edad: anios, pais = "Perú" } = persona
+      mostrar nombre + " " + anios + " " + pais
+      constante { direccion: { ciudad } } = persona
+      mostrar ciudad
+      variable copia = { nombre, anios }
+      mostrar copia.anios
+    `);
+    assertEquals(output, ["Ana 30 Perú", "Lima", "30"]);
+  });
+
+  test("Desestructuración: asignación e intercambio de variables", () => {
+    const output = run(`
+      variable a = 1
+      variable b = 2
+      [a, b] = [b, a]
+      mostrar a
+      mostrar b
+      variable total = 0
+      { total } = { total: 7 }
+      mostrar total
+    `);
+    assertEquals(output, ["2", "1", "7"]);
+  });
+
+  test("Desestructuración: parámetros y para cada", () => {
+    const output = run(`
+      funcion distancia([x1, y1], { x, y = 0 }) {
+        retornar (x - x1) + (y - y1)
+      }
+      mostrar distancia([1, 1], { x: 4 })
+      variable area = ({ ancho, alto }) => ancho * alto
+      mostrar area({ ancho: 3, alto: 4 })
+      para cada [clave, valor] en [["a", 1], ["b", 2]] {
+        mostrar clave + "=" + valor
+      }
+    `);
+    assertEquals(output, ["2", "12", "a=1", "b=2"]);
+  });
+
+  test("Desestructuración: errores", () => {
+    assertTrue(
+      interpret(`variable [a, b] = 5`).error.includes(
+        "No se puede desestructurar un valor de tipo numero con [ ], se esperaba un arreglo",
+      ),
+    );
+    assertTrue(
+      interpret(`variable { a } = [1]`).error.includes("se esperaba un objeto"),
+    );
+    assertTrue(
+      interpret(`constante [a, b]`).error.includes(
+        "La desestructuración necesita un valor",
+      ),
+    );
+    const constantes = interpret(`
+      constante [a] = [1]
+      a = 2
+    `);
+    assertTrue(
+      constantes.error.includes("No se puede reasignar la constante: a"),
+    );
+  });
+
+  // ==================== EXPANSIÓN Y PARÁMETROS RESTO ====================
+
+  test("Parámetros resto: funciones con cualquier número de argumentos", () => {
+    const output = run(`
+      funcion total(...numeros) {
+        variable s = 0
+        para cada n en numeros {
+          s = s + n
+        }
+        retornar s
+      }
+      mostrar total()
+      mostrar total(1, 2, 3)
+      variable cola = (cabeza, ...resto) => resto
+      mostrar cola(1, 2, 3)
+    `);
+    assertEquals(output, ["0", "6", "[2, 3]"]);
+    assertTrue(
+      interpret(`
+        funcion f(a, ...b) {
+          retornar b
+        }
+        f()
+      `).error.includes(
+        "Se esperaban al menos 1 argumentos pero se recibieron 0",
+      ),
+    );
+  });
+
+  test("Expansión: en llamadas, arreglos y objetos", () => {
+    const output = run(`
+      variable lista = [4, 9, 2]
+      mostrar maximo(...lista)
+      mostrar [0, ...lista, ...[5]]
+      funcion punto(x, y) {
+        retornar x * 10 + y
+      }
+      mostrar punto(...[3, 4])
+      variable base = { x: 1, y: 2 }
+      variable copia = { ...base, y: 5 }
+      mostrar copia.x + copia.y
+      mostrar base.y
+    `);
+    assertEquals(output, ["9", "[0, 4, 9, 2, 5]", "34", "6", "2"]);
+  });
+
+  test("Expansión: resto en desestructuración", () => {
+    const output = run(`
+      variable [primero, ...demas] = [1, 2, 3]
+      mostrar primero
+      mostrar demas
+      variable { nombre, ...datos } = { nombre: "Ana", edad: 30, ciudad: "Lima" }
+      mostrar datos.edad
+      mostrar datos.ciudad
+    `);
+    assertEquals(output, ["1", "[2, 3]", "30", "Lima"]);
+  });
+
+  test("Expansión: errores", () => {
+    assertTrue(
+      interpret(`mostrar maximo(...5)`).error.includes(
+        "No se puede expandir un valor de tipo numero con ..., se esperaba un arreglo",
+      ),
+    );
+    assertTrue(
+      interpret(`variable obj = { ...verdadero }`).error.includes(
+        "en un objeto",
+      ),
+    );
+    assertTrue(
+      interpret(`funcion f(...a, b) {
+      }`).error.includes("El parámetro con ... debe ser el último"),
+    );
+  });
+
+  // ==================== VALORES POR DEFECTO Y ARGUMENTOS CON NOMBRE ====================
+
+  test("Parámetros por defecto: se evalúan al llamar y en el ámbito de la función", () => {
+    const output = run(`
+      funcion saludar(nombre, saludo = "Hola") {
+        retornar saludo + ", " + nombre
+      }
+      mostrar saludar("Ana")
+      mostrar saludar("Ana", "Buenas")
+      funcion serie(a, b = a * 2, c = b + 1) {
+        retornar [a, b, c]
+      }
+      mostrar serie(1)
+      variable contador = 0
+      funcion siguiente(n = contador + 1) {
+        retornar n
+      }
+      contador = 5
+      mostrar siguiente()
+      variable doble = (x, factor = 2) => x * factor
+      mostrar doble(4)
+    `);
+    assertEquals(output, ["Hola, Ana", "Buenas, Ana", "[1, 2, 3]", "6", "8"]);
+  });
+
+  test("Argumentos con nombre: funciones, métodos y constructores", () => {
+    const output = run(`
+      funcion crearUsuario(nombre, edad = 18, rol = "lector") {
+        retornar nombre + " " + edad + " " + rol
+      }
+      mostrar crearUsuario(edad: 20, nombre: "Ana")
+      mostrar crearUsuario("Luis", rol: "admin")
+      clase Punto {
+        constructor(x = 0, y = 0) {
+          este.x = x
+          este.y = y
+        }
+        mover(dx = 0, dy = 0) {
+          retornar nuevo Punto(este.x + dx, este.y + dy)
+        }
+      }
+      variable p = nuevo Punto(y: 5)
+      mostrar p.x + "," + p.y
+      variable q = p.mover(dy: 1)
+      mostrar q.x + "," + q.y
+    `);
+    assertEquals(output, ["Ana 20 lector", "Luis 18 admin", "0,5", "0,6"]);
+  });
+
+  test("Argumentos con nombre: un objeto del programa nunca se confunde con ellos", () => {
+    const output = run(`
+      funcion f(p) {
+        retornar p
+      }
+      mostrar f({ type: "NamedArguments", values: 1 }).type
+      mostrar tipo({ type: "NamedArguments" })
+    `);
+    assertEquals(output, ["NamedArguments", "objeto"]);
+  });
+
+  test("Parámetros por defecto y argumentos con nombre: errores", () => {
+    const definicion = `
+      funcion f(a, b = 1) {
+        retornar a + b
+      }
+    `;
+    assertTrue(
+      interpret(definicion + "f()").error.includes(
+        "Se esperaban entre 1 y 2 argumentos pero se recibieron 0",
+      ),
+    );
+    assertTrue(
+      interpret(definicion + "f(b: 2)").error.includes(
+        "Falta el argumento 'a'",
+      ),
+    );
+    assertTrue(
+      interpret(definicion + "f(1, a: 2)").error.includes(
+        "El argumento 'a' se pasó dos veces",
+      ),
+    );
+    assertTrue(
+      interpret(definicion + "f(z: 2)").error.includes(
+        "La función 'f' no tiene un parámetro llamado 'z'",
+      ),
+    );
+    assertTrue(
+      interpret(definicion + "f(a: 2, 3)").error.includes(
+        "Los argumentos con nombre deben ir después de los demás argumentos",
+      ),
+    );
+    assertTrue(
+      interpret("mostrar maximo(a: 1)").error.includes(
+        "maximo() no acepta argumentos con nombre",
+      ),
+    );
+  });
+
+  // ==================== EXPRESIÓN CONDICIONAL ====================
+
+  test("Condicional: elige un valor en cualquier expresión", () => {
+    const output = run(`
+      variable n = 5
+      mostrar n > 3 ? "grande" : "chico"
+      mostrar \`es \${n % 2 == 0 ? "par" : "impar"}\`
+      variable signo = x => x > 0 ? "+" : x < 0 ? "-" : "0"
+      mostrar signo(-2) + signo(0) + signo(7)
+      variable datos = { tamaño: n > 1 ? "varios" : "uno" }
+      mostrar datos.tamaño
+      variable total = 0
+      total = n > 1 ? n * 2 : n
+      mostrar total
+    `);
+    assertEquals(output, ["grande", "es impar", "-0+", "varios", "10"]);
+  });
+
+  test("Condicional: solo evalúa la opción elegida", () => {
+    const output = run(`
+      variable llamadas = 0
+      funcion contar() {
+        llamadas += 1
+        retornar llamadas
+      }
+      mostrar verdadero ? "si" : contar()
+      mostrar falso ? 1 / 0 : "no"
+      mostrar llamadas
+    `);
+    assertEquals(output, ["si", "no", "0"]);
+    assertTrue(
+      interpret("mostrar 1 ? 2").error.includes(
+        "Se esperaba : en la expresión condicional",
+      ),
+    );
+  });
+
+  // ==================== NAVEGACIÓN SEGURA Y ?? ====================
+
+  test("Navegación segura: ?. en propiedades, índices, métodos y llamadas", () => {
+    const output = run(`
+      variable usuario = { nombre: "Ana", direccion: nulo, etiquetas: ["admin"] }
+      mostrar usuario.direccion?.ciudad
+      mostrar usuario.direccion?.ciudad.nombre
+      mostrar usuario?.nombre
+      mostrar usuario.etiquetas?.[0]
+      mostrar usuario.otras?.[0]
+      mostrar usuario.etiquetas?.longitud()
+      mostrar usuario.otras?.longitud()
+      variable accion = nulo
+      mostrar accion?.(1)
+    `);
+    assertEquals(output, [
+      "null",
+      "null",
+      "Ana",
+      "admin",
+      "null",
+      "1",
+      "null",
+      "null",
+    ]);
+    assertTrue(
+      interpret(`
+        variable usuario = { direccion: nulo }
+        mostrar usuario.direccion.ciudad
+      `).error.includes("Solo se pueden acceder propiedades de objetos"),
+    );
+  });
+
+  test("Navegación segura: metodo?.() llama a métodos integrados y omite los que faltan", () => {
+    const output = run(`
+      variable lista = [1, 2, 3]
+      mostrar lista.mapear?.((x) => x * 2)
+      lista.remover?.()
+      mostrar lista
+      variable acciones = { saludar: () => "hola", nada: nulo }
+      mostrar acciones.saludar?.()
+      mostrar acciones.nada?.()
+      mostrar acciones.otra?.().resultado
+      clase Punto {
+        norma() {
+          retornar 5
+        }
+      }
+      variable p = nuevo Punto()
+      mostrar p.norma?.()
+      mostrar p.escalar?.(2)
+    `);
+    assertEquals(output, [
+      "[2, 4, 6]",
+      "[1, 2]",
+      "hola",
+      "null",
+      "null",
+      "5",
+      "null",
+    ]);
+  });
+
+  test("Operador ??: valor por defecto solo para nulo", () => {
+    const output = run(`
+      variable config = { puerto: 0, nombre: nulo }
+      mostrar config.puerto ?? 8080
+      mostrar config.nombre ?? "servidor"
+      mostrar config.host?.nombre ?? "localhost"
+      mostrar falso ?? verdadero
+      variable llamadas = 0
+      funcion contar() {
+        llamadas += 1
+        retornar llamadas
+      }
+      mostrar 1 ?? contar()
+      mostrar llamadas
+    `);
+    assertEquals(output, ["0", "servidor", "localhost", "false", "1", "0"]);
+  });
+
+  // ==================== POTENCIA Y DIVISIÓN ENTERA ====================
+
+  test("Potencia: ** agrupa por la derecha y antes que el signo menos", () => {
+    const output = run(`
+      mostrar 2 ** 10
+      mostrar -2 ** 2
+      mostrar 2 ** 3 ** 2
+      mostrar 2 ** -1
+      mostrar 2 * 3 ** 2
+      mostrar (1 + 1) ** 3
+    `);
+    assertEquals(output, ["1024", "-4", "512", "0.5", "18", "8"]);
+  });
+
+  test("División entera: div trunca el cociente", () => {
+    const output = run(`
+      mostrar 7 div 2
+      mostrar -7 div 2
+      mostrar (-7 div 2) * 2 + -7 % 2
+      variable div = 10
+      mostrar div div 3
+    `);
+    assertEquals(output, ["3", "-3", "-7", "3"]);
+    assertTrue(
+      interpret("mostrar 1 div 0").error.includes("División por cero"),
+    );
+  });
+
+  test("División entera: div después de literales y de este", () => {
+    const output = run(`
+      clase Par {
+        dividirEntero(n) {
+          retornar "mitad"
+        }
+        mitad() {
+          retornar este div 2
+        }
+      }
+      mostrar nuevo Par().mitad()
+    `);
+    assertEquals(output, ["mitad"]);
+    assertTrue(
+      interpret("mostrar verdadero div 2").error.includes(
+        "El operador DIV requiere dos números",
+      ),
+    );
+  });
+
+  test("Potencia y división entera: asignación compuesta y sobrecarga", () => {
+    const output = run(`
+      variable x = 5
+      x **= 2
+      mostrar x
+      x div= 4
+      mostrar x
+      clase Matriz {
+        constructor(valor) {
+          este.valor = valor
+        }
+        potencia(n) {
+          retornar nuevo Matriz(este.valor ** n)
+        }
+        dividirEntero(n) {
+          retornar nuevo Matriz(este.valor div n)
+        }
+      }
+      variable m = nuevo Matriz(3) ** 2
+      mostrar m.valor
+      m div= 2
+      mostrar m.valor
+    `);
+    assertEquals(output, ["25", "6", "9", "4"]);
+  });
+
+  // ==================== RANGOS Y BUCLE DESDE/HASTA ====================
+
+  test("Bucle desde/hasta: límites incluidos y paso opcional", () => {
+    const output = run(`
+      para i desde 1 hasta 3 {
+        mostrar i
+      }
+      para i desde 0 hasta 10 paso 5 {
+        mostrar i
+      }
+      para i desde 3 hasta 1 paso -2 {
+        mostrar i
+      }
+      para i desde 1 hasta 0 {
+        mostrar "nunca"
+      }
+      variable paso = 2
+      variable hasta = 4
+      para i desde 1 hasta hasta paso paso {
+        mostrar i
+      }
+    `);
+    assertEquals(output, ["1", "2", "3", "0", "5", "10", "3", "1", "1", "3"]);
+  });
+
+  test("Rangos: para cada, valores y métodos", () => {
+    const output = run(`
+      variable letras = ["a", "b", "c"]
+      para cada i en 0..<letras.longitud() {
+        mostrar letras[i]
+      }
+      variable impares = 1..9 paso 2
+      mostrar impares
+      mostrar tipo(impares)
+      mostrar impares.longitud()
+      mostrar impares.longitud
+      mostrar impares.contiene(7)
+      mostrar impares.contiene(8)
+      mostrar impares.aArreglo()
+      mostrar [...0..<3]
+    `);
+    assertEquals(output, [
+      "a",
+      "b",
+      "c",
+      "1..9 paso 2",
+      "rango",
+      "5",
+      "5",
+      "true",
+      "false",
+      "[1, 3, 5, 7, 9]",
+      "[0, 1, 2]",
+    ]);
+  });
+
+  test("Rangos: se recorren sin crear arreglos", () => {
+    const output = run(`
+      variable total = 0
+      para cada i en 1..1000000000 {
+        si i > 3 {
+          romper
+        }
+        total += i
+      }
+      mostrar total
+    `);
+    assertEquals(output, ["6"]);
+  });
+
+  test("Rangos: paso en la línea siguiente es otra sentencia", () => {
+    const output = run(`
+      variable paso = 1
+      variable r = 0..10
+      paso = 2
+      mostrar r
+      mostrar paso
+      mostrar 0..10 paso 5
+    `);
+    assertEquals(output, ["0..10", "2", "0..10 paso 5"]);
+  });
+
+  test("Para cada: recorre los caracteres de un texto", () => {
+    const output = run(`
+      variable invertido = ""
+      para cada letra en "año" {
+        invertido = letra + invertido
+      }
+      mostrar invertido
+    `);
+    assertEquals(output, ["oña"]);
+  });
+
+  test("Rangos: errores", () => {
+    assertTrue(
+      interpret(`mostrar 1..5 paso 0`).error.includes(
+        "El paso de un rango no puede ser cero",
+      ),
+    );
+    assertTrue(
+      interpret(`mostrar 1.."diez"`).error.includes(
+        "Los límites de un rango deben ser números",
+      ),
+    );
+    assertTrue(
+      interpret(`para cada x en 5 {
+      }`).error.includes(
+        "para cada solo puede iterar sobre arreglos, textos, rangos o enumeraciones",
+      ),
+    );
+    assertTrue(
+      interpret(`mostrar (1..5).start`).error.includes(
+        "Los rangos no tienen la propiedad 'start'",
+      ),
+    );
+  });
+
   // Show results
   console.log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
   console.log(`${colors.green}Tests passed: ${testsPassed}${colors.reset}`);